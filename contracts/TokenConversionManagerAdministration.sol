@@ -0,0 +1,742 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "./TokenConversionManagerCore.sol";
+
+/**
+ * @dev Administrative functions of the converter, split from the converter to keep it under the contract size limit.
+ * Deployed by the converter and executed with the delegatecall in the converter storage,
+ * the converter exposes the same functions and forwards them to the module, see {TokenConversionManagerBase}.
+ */
+contract TokenConversionManagerAdministration is TokenConversionManagerCore {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using EnumerableSet for EnumerableSet.UintSet;
+    using SafeERC20 for IERC20;
+
+    /**
+    * @dev To replace the authorizers set with a single authorizer who can authorize the conversions.
+    * The threshold is reset to one signature. The replaced authorizers stay valid for the grace period,
+    * so the signatures they already issued can still be submitted, with the threshold they were replaced with.
+    * @param newAuthorizer - new contract authorizer address
+    */
+    function updateAuthorizer(
+        address newAuthorizer
+    ) 
+        external 
+        notZeroAddress(newAuthorizer) 
+        onlyRoleOrTimelock(AUTHORIZER_MANAGER_ROLE, false) 
+    {
+        _pruneOutgoingAuthorizers();
+
+        // the authorizers still in their grace period keep the higher threshold of the former rotation
+        if (_outgoingAuthorizers.length() == 0 || _authorizersThreshold > _outgoingAuthorizersThreshold)
+            _outgoingAuthorizersThreshold = _authorizersThreshold;
+
+        for (uint256 i = _conversionAuthorizers.length(); i > 0; i--) {
+            address authorizer = _conversionAuthorizers.at(i - 1);
+            _conversionAuthorizers.remove(authorizer);
+            if (authorizer != newAuthorizer)
+                _retireAuthorizer(authorizer);
+        }
+        _conversionAuthorizers.add(newAuthorizer);
+        _endGracePeriod(newAuthorizer);
+        _authorizersThreshold = 1;
+
+        emit NewAuthorizer(newAuthorizer);
+        emit UpdateThreshold(1);
+    }
+
+    /**
+    * @dev To add the authorizer to the set of the authorizers who can authorize the conversions.
+    * @param authorizer - authorizer address to add
+    */
+    function addAuthorizer(
+        address authorizer
+    ) 
+        external 
+        notZeroAddress(authorizer) 
+        onlyRoleOrTimelock(AUTHORIZER_MANAGER_ROLE, false) 
+    {
+        if (!_conversionAuthorizers.add(authorizer))
+            revert AuthorizerAlreadyExists();
+        _endGracePeriod(authorizer);
+
+        emit AddAuthorizer(authorizer);
+    }
+
+    /**
+    * @dev To remove the authorizer from the set of the authorizers who can authorize the conversions.
+    * The removal is instant, the outgoing authorizer in its grace period is removed as well (e.g. the leaked key).
+    * The set can not become smaller than the threshold.
+    * @param authorizer - authorizer address to remove
+    */
+    function removeAuthorizer(address authorizer) external onlyRole(AUTHORIZER_MANAGER_ROLE) {
+        if (!_conversionAuthorizers.remove(authorizer) && !_endGracePeriod(authorizer))
+            revert AuthorizerNotFound();
+        if (_conversionAuthorizers.length() < _authorizersThreshold)
+            revert InvalidThreshold();
+
+        emit RemoveAuthorizer(authorizer);
+    }
+
+    /**
+    * @dev To update the number of the authorizers signatures required for the conversion.
+    * Raising the threshold is instant, lowering it is timelocked.
+    * @param threshold - required signatures count, from one to the authorizers set size
+    */
+    function updateThreshold(
+        uint256 threshold
+    ) 
+        external 
+        onlyRoleOrTimelock(AUTHORIZER_MANAGER_ROLE, threshold >= _authorizersThreshold) 
+    {
+        if (threshold == 0 || threshold > _conversionAuthorizers.length())
+            revert InvalidThreshold();
+
+        _authorizersThreshold = threshold;
+
+        emit UpdateThreshold(threshold);
+    }
+
+    /**
+    * @dev To update the grace period the authorizers replaced by the updateAuthorizer stay valid for,
+    * zero period switches the authorizers instantly. Shortening the period is instant, extending it is timelocked.
+    * The outgoing authorizers keep the grace period they were replaced with.
+    * @param gracePeriod - grace period in seconds
+    */
+    function updateAuthorizerGracePeriod(
+        uint256 gracePeriod
+    ) 
+        external 
+        onlyRoleOrTimelock(AUTHORIZER_MANAGER_ROLE, gracePeriod <= _authorizerGracePeriod) 
+    {
+        if (gracePeriod > MAX_AUTHORIZER_GRACE_PERIOD)
+            revert InvalidUpdateConfigurations();
+
+        _authorizerGracePeriod = gracePeriod;
+
+        emit UpdateAuthorizerGracePeriod(gracePeriod);
+    }
+
+    /**
+    * @dev To revoke the signed request which was not submitted yet (e.g. leaked), the request can not be used then.
+    * Callable by the authorizer managers or the authorizers, including the outgoing ones in their grace period.
+    * @param message - EIP-712 typed data digest of the signed request
+    */
+    function revokeSignature(bytes32 message) external onlyRoleOrAuthorizer(AUTHORIZER_MANAGER_ROLE) {
+        _useSignature(message);
+
+        emit RevokeSignature(message, _msgSender());
+    }
+
+    /**
+    * @dev To revoke the conversionId which was not converted yet, any request with this id can not be converted then.
+    * Callable by the authorizer managers or the authorizers, including the outgoing ones in their grace period.
+    * @param conversionId - hashed conversion id
+    */
+    function revokeConversionId(bytes32 conversionId) external onlyRoleOrAuthorizer(AUTHORIZER_MANAGER_ROLE) {
+        _registerConversion(conversionId, ConversionStatus.Revoked, address(0), address(0), 0, 0);
+
+        emit RevokeConversionId(conversionId, _msgSender());
+    }
+
+    /**
+    * @dev To update the delay of the timelocked administrative changes, zero delay disables the timelock.
+    * Raising the delay is instant, lowering it is timelocked.
+    * @param minDelay - delay in seconds between the change proposal and its execution
+    */
+    function updateMinDelay(uint256 minDelay) external onlyRoleOrTimelock(DEFAULT_ADMIN_ROLE, minDelay >= _minDelay) {
+        if (minDelay > MAX_MIN_DELAY)
+            revert InvalidUpdateConfigurations();
+
+        _minDelay = minDelay;
+
+        emit UpdateMinDelay(minDelay);
+    }
+
+    /**
+    * @dev To propose the timelocked administrative change, executable after the current delay.
+    * Supported changes: updateAuthorizer, addAuthorizer, updateThreshold, updateAuthorizerGracePeriod, 
+    * updateConfigurations, updateDestinationChain, updateFees, updateEpochDuration, updateVolumeLimits, 
+    * decreaseConverterLiquidity and updateMinDelay.
+    * Callable by the holders of the role required by the proposed function.
+    * @param data - ABI encoded call of the converter function
+    * @return id - id of the pending change, hash of the call data
+    */
+    function proposeChange(bytes calldata data) external returns (bytes32 id) {
+        if (data.length < 4)
+            revert UnsupportedChange();
+        _checkRole(_changeRole(bytes4(data[:4])));
+
+        id = keccak256(data);
+        if (!_pendingChangeIds.add(id))
+            revert ChangeAlreadyProposed();
+
+        uint256 readyAt = block.timestamp + _minDelay;
+        _pendingChanges[id] = PendingChange({ data: data, readyAt: readyAt });
+
+        emit ProposeChange(id, data, readyAt);
+    }
+
+    /**
+    * @dev To execute the pending change after its delay. Callable by the holders of the role required by the change,
+    * the executor is the account the change is applied for (e.g. the recipient of the withdrawn liquidity).
+    * @param id - id of the pending change
+    */
+    function executeChange(bytes32 id) external {
+        if (!_pendingChangeIds.remove(id))
+            revert ChangeNotProposed();
+
+        PendingChange memory change = _pendingChanges[id];
+        _checkRole(_changeRole(bytes4(change.data)));
+        if (block.timestamp < change.readyAt)
+            revert ChangeNotReady();
+
+        delete _pendingChanges[id];
+
+        _changeExecutor = _msgSender();
+        Address.functionCall(address(this), change.data);
+        delete _changeExecutor;
+
+        emit ExecuteChange(id);
+    }
+
+    /**
+    * @dev To cancel the pending change. Callable by the holders of the role required by the change.
+    * @param id - id of the pending change
+    */
+    function cancelChange(bytes32 id) external {
+        if (!_pendingChangeIds.remove(id))
+            revert ChangeNotProposed();
+        _checkRole(_changeRole(bytes4(_pendingChanges[id].data)));
+
+        delete _pendingChanges[id];
+
+        emit CancelChange(id);
+    }
+
+    /**
+    * @dev To grant the role to the account. Only callable by the default admins.
+    * @param role - role id, see the role constants
+    * @param account - account granted the role
+    */
+    function grantRole(bytes32 role, address account) external notZeroAddress(account) onlyRole(DEFAULT_ADMIN_ROLE) {
+        _grantRole(role, account);
+    }
+
+    /**
+    * @dev To revoke the role from the account. Only callable by the default admins.
+    * @param role - role id, see the role constants
+    * @param account - account the role is revoked from
+    */
+    function revokeRole(bytes32 role, address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(role, account);
+    }
+
+    /**
+    * @dev To renounce the role of the caller, e.g. the deployer once the roles are granted to the operators.
+    * @param role - role id, see the role constants
+    * @param account - caller address, confirms the renounced account
+    */
+    function renounceRole(bytes32 role, address account) external {
+        if (account != _msgSender())
+            revert UnauthorizedCaller();
+
+        _revokeRole(role, account);
+    }
+
+    /**
+    * @dev To pause the conversions in case of incident. Only callable by the pausers.
+    * @param pauseOut - pause the conversionOut
+    * @param pauseIn - pause the conversionIn
+    */
+    function pause(bool pauseOut, bool pauseIn) external onlyRole(PAUSER_ROLE) {
+        if (pauseOut) _conversionOutPaused = true;
+        if (pauseIn) _conversionInPaused = true;
+
+        emit Paused(_msgSender(), pauseOut, pauseIn);
+    }
+
+    /**
+    * @dev To unpause the conversions. Only callable by the default admins.
+    * @param unpauseOut - unpause the conversionOut
+    * @param unpauseIn - unpause the conversionIn
+    */
+    function unpause(bool unpauseOut, bool unpauseIn) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (unpauseOut) _conversionOutPaused = false;
+        if (unpauseIn) _conversionInPaused = false;
+
+        emit Unpaused(_msgSender(), unpauseOut, unpauseIn);
+    }
+
+    /**
+    * @dev To update the compliance officer who can manage the account screening and the held conversions,
+    * zero address removes the compliance officer.
+    * @param newComplianceOfficer - new compliance officer address
+    */
+    function updateComplianceOfficer(address newComplianceOfficer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _complianceOfficer = newComplianceOfficer;
+
+        emit NewComplianceOfficer(newComplianceOfficer);
+    }
+
+    /**
+    * @dev To add the accounts to the denylist or remove them from it, the denied accounts can not convert
+    * neither as the sender nor as the recipient. Callable by the default admins or the compliance officer.
+    * @param accounts - screened account addresses
+    * @param denied - add the accounts to the denylist or remove them from it
+    */
+    function updateDenylist(address[] calldata accounts, bool denied) external onlyAdminOrComplianceOfficer {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _deniedAccounts[accounts[i]] = denied;
+
+            emit UpdateDenylist(accounts[i], denied);
+        }
+    }
+
+    /**
+    * @dev To add the accounts to the allowlist or remove them from it, the allowlist is checked
+    * in the allowlist-only mode. Callable by the default admins or the compliance officer.
+    * @param accounts - screened account addresses
+    * @param allowed - add the accounts to the allowlist or remove them from it
+    */
+    function updateAllowlist(address[] calldata accounts, bool allowed) external onlyAdminOrComplianceOfficer {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _allowedAccounts[accounts[i]] = allowed;
+
+            emit UpdateAllowlist(accounts[i], allowed);
+        }
+    }
+
+    /**
+    * @dev To switch the allowlist-only mode, only the allowlisted accounts can convert while it is on
+    * (e.g. private launch). Callable by the default admins or the compliance officer.
+    * @param allowlistOnly - allowlist-only mode
+    */
+    function updateAllowlistMode(bool allowlistOnly) external onlyAdminOrComplianceOfficer {
+        _allowlistOnly = allowlistOnly;
+
+        emit UpdateAllowlistMode(allowlistOnly);
+    }
+
+    /**
+    * @dev To flag the conversionIn for the review before it is converted, the flagged conversionIn is held
+    * by the converter until it is released or cancelled. Callable by the default admins or the compliance officer.
+    * @param conversionId - hashed conversion id of the conversionIn
+    * @param flagged - flag the conversionIn or remove the flag
+    */
+    function flagConversion(bytes32 conversionId, bool flagged) external onlyAdminOrComplianceOfficer {
+        if (_conversions[conversionId].status != ConversionStatus.None)
+            revert UsedConversionId();
+
+        _flaggedConversions[conversionId] = flagged;
+
+        emit FlagConversion(conversionId, flagged);
+    }
+
+    /**
+    * @dev To release the held conversionIn to its recipient, the fee is charged and the tokens are transferred
+    * (minted in the mint/burn mode) as by the conversionIn. Callable by the default admins or the compliance officer.
+    * @param conversionId - hashed conversion id of the held conversionIn
+    */
+    function releaseHeldConversion(bytes32 conversionId) external onlyAdminOrComplianceOfficer nonReentrant {
+        Conversion storage conversion = _heldConversion(conversionId);
+
+        _checkPermittedAccount(conversion.holder);
+
+        conversion.status = ConversionStatus.In;
+        if (_tokenConfigs[conversion.token].conversionMode == ConversionMode.LockUnlock) {
+            _heldFunds[conversion.token] -= conversion.amount;
+            delete _heldDraws[conversionId];
+        }
+
+        emit ConversionReleased(conversionId, _msgSender());
+
+        _payConversionIn(conversion.token, conversion.holder, conversion.amount, conversion.fee, conversionId);
+    }
+
+    /**
+    * @dev To cancel the held conversionIn. No tokens are transferred: the recipient is not paid and the funds
+    * reserved for the hold are returned to the locked user funds and the liquidity they were drawn from.
+    * The tokens of the holder stay locked (burned) by the conversionOut on the source network until it is refunded there.
+    * Callable by the default admins or the compliance officer.
+    * @param conversionId - hashed conversion id of the held conversionIn
+    */
+    function cancelHeldConversion(bytes32 conversionId) external onlyAdminOrComplianceOfficer {
+        Conversion storage conversion = _heldConversion(conversionId);
+
+        conversion.status = ConversionStatus.Cancelled;
+
+        address token = conversion.token;
+        TokenConfig storage config = _tokenConfigs[token];
+        if (config.conversionMode == ConversionMode.LockUnlock) {
+            HeldDraw memory draw = _heldDraws[conversionId];
+            delete _heldDraws[conversionId];
+
+            _heldFunds[token] -= conversion.amount;
+            _lockedFunds[token] += draw.lockedFunds;
+            if (draw.liquidity != 0) {
+                config.liquidity += draw.liquidity;
+
+                emit RestoreLiquidity(token, draw.liquidity, config.liquidity);
+            }
+        }
+
+        emit HeldConversionCancelled(conversionId, _msgSender());
+    }
+
+    /**
+    * @dev To register the token managed by the converter. The token is enabled once registered,
+    * conversions require the per transaction limits to be configured.
+    * @param token - token address
+    * @param conversionMode - conversion mode of the token, can not be changed later
+    */
+    function registerToken(address token, ConversionMode conversionMode) external onlyRole(CONFIG_ADMIN_ROLE) {
+        _registerToken(token, conversionMode);
+    }
+
+    /**
+    * @dev To enable or disable the conversions of the registered token
+    * @param token - token address
+    * @param enabled - new token status
+    */
+    function updateTokenStatus(
+        address token, 
+        bool enabled
+    ) 
+        external 
+        onlyRegisteredToken(token) 
+        onlyRole(CONFIG_ADMIN_ROLE) 
+    {
+        _tokenConfigs[token].enabled = enabled;
+
+        emit UpdateTokenStatus(token, enabled);
+    }
+
+    /**
+    * @dev To update the per transaction limits for the conversion and to provide max total supply 
+    * Tightening the limits is instant, loosening them is timelocked.
+    * @param token - token address
+    * @param perTxnMinAmount - min amount for conversion
+    * @param perTxnMaxAmount - max amount for conversion
+    */
+    function updateConfigurations(
+        address token,
+        uint256 perTxnMinAmount, 
+        uint256 perTxnMaxAmount
+    )
+        external 
+        onlyRegisteredToken(token)
+        onlyRoleOrTimelock(
+            CONFIG_ADMIN_ROLE,
+            perTxnMinAmount >= _tokenConfigs[token].perTxnMinAmount && 
+            perTxnMaxAmount <= _tokenConfigs[token].perTxnMaxAmount
+        )
+    {
+        // Check for the valid inputs
+        if (perTxnMinAmount == 0 || perTxnMaxAmount <= perTxnMinAmount) 
+            revert InvalidUpdateConfigurations();
+
+        // Update the configurations
+        TokenConfig storage config = _tokenConfigs[token];
+        config.perTxnMinAmount = perTxnMinAmount;
+        config.perTxnMaxAmount = perTxnMaxAmount;
+
+        emit UpdateConfiguration(token, perTxnMinAmount, perTxnMaxAmount);
+    }
+
+    /**
+    * @dev To register the destination chain of the token conversionOut or to update its status and limits.
+    * Disabling the chain and tightening its limits is instant, enabling it and loosening the limits is timelocked.
+    * @param token - token address
+    * @param chainId - destination chain id, the id assigned by the bridge for the non-EVM networks
+    * @param enabled - whether the conversionOut to the chain is allowed
+    * @param perTxnMinAmount - min amount for conversion to the chain
+    * @param perTxnMaxAmount - max amount for conversion to the chain
+    */
+    function updateDestinationChain(
+        address token,
+        uint256 chainId,
+        bool enabled,
+        uint256 perTxnMinAmount,
+        uint256 perTxnMaxAmount
+    )
+        external
+        onlyRegisteredToken(token)
+        onlyRoleOrTimelock(
+            CONFIG_ADMIN_ROLE,
+            !enabled || (
+                _destinationChains[token][chainId].enabled &&
+                perTxnMinAmount >= _destinationChains[token][chainId].perTxnMinAmount &&
+                perTxnMaxAmount <= _destinationChains[token][chainId].perTxnMaxAmount
+            )
+        )
+    {
+        // Check for the valid inputs
+        if (perTxnMinAmount == 0 || perTxnMaxAmount <= perTxnMinAmount)
+            revert InvalidUpdateConfigurations();
+
+        _destinationChainIds[token].add(chainId);
+        _destinationChains[token][chainId] = DestinationChain({
+            enabled: enabled,
+            perTxnMinAmount: perTxnMinAmount,
+            perTxnMaxAmount: perTxnMaxAmount
+        });
+
+        emit UpdateDestinationChain(token, chainId, enabled, perTxnMinAmount, perTxnMaxAmount);
+    }
+
+    /**
+    * @dev To update the protocol fee of the token conversion direction. 
+    * The greater of the basis points fee and the flat minimum fee is deducted from the conversion amount.
+    * Lowering the fees is instant, raising them is timelocked.
+    * @param token - token address
+    * @param direction - conversion direction the fee is applied to
+    * @param feeBps - fee in basis points of the conversion amount
+    * @param minFee - flat minimum fee in the token units
+    */
+    function updateFees(
+        address token,
+        ConversionDirection direction,
+        uint256 feeBps,
+        uint256 minFee
+    )
+        external
+        onlyRegisteredToken(token)
+        onlyRoleOrTimelock(
+            CONFIG_ADMIN_ROLE,
+            feeBps <= _fees[token][direction].feeBps && minFee <= _fees[token][direction].minFee
+        )
+    {
+        if (feeBps > MAX_FEE_BPS)
+            revert InvalidFeeConfigurations();
+
+        _fees[token][direction] = FeeConfig({
+            feeBps: feeBps,
+            minFee: minFee
+        });
+
+        emit UpdateFees(token, direction, feeBps, minFee);
+    }
+
+    /**
+    * @dev To update the fee collector who can withdraw the collected fees, zero address disables the withdrawal.
+    * @param newFeeCollector - new fee collector address
+    */
+    function updateFeeCollector(address newFeeCollector) external onlyRole(CONFIG_ADMIN_ROLE) {
+        _feeCollector = newFeeCollector;
+
+        emit NewFeeCollector(newFeeCollector);
+    }
+
+    /**
+    * @dev To update the Permit2 contract used by the conversionOutWithPermit2.
+    * Only needed on the networks without the canonical Permit2 deployment.
+    * @param newPermit2 - new Permit2 contract address
+    */
+    function updatePermit2(address newPermit2) external notZeroAddress(newPermit2) onlyRole(CONFIG_ADMIN_ROLE) {
+        _permit2 = newPermit2;
+
+        emit NewPermit2(newPermit2);
+    }
+
+    /**
+    * @dev To withdraw the collected fees of the token to the fee collector. 
+    * The converter liquidity is not affected.
+    * @param token - token address
+    * @param amount - amount of fees to withdraw
+    */
+    function withdrawFees(address token, uint256 amount) external onlyFeeCollector nonReentrant {
+        TokenConfig storage config = _tokenConfigs[token];
+
+        if (amount > config.collectedFees) revert WithdrawExceedsFees();
+
+        config.collectedFees -= amount;
+
+        _pushTokens(token, _msgSender(), amount);
+
+        emit WithdrawFees(token, _msgSender(), amount, config.collectedFees);
+    }
+
+    /**
+    * @dev To return the tokens sent to the converter by mistake. The registered tokens 
+    * can be rescued only up to the surplus over the liquidity, the locked user funds and the collected fees.
+    * @param token - token address
+    * @param to - recipient of the rescued tokens
+    * @param amount - amount of tokens to rescue
+    */
+    function rescueERC20(
+        address token, 
+        address to, 
+        uint256 amount
+    ) 
+        external 
+        notZeroAddress(to) 
+        onlyRole(DEFAULT_ADMIN_ROLE) 
+        nonReentrant 
+    {
+        if (_tokens.contains(token) && amount > _surplus(token))
+            revert RescueExceedsSurplus();
+
+        _pushTokens(token, to, amount);
+
+        emit RescueERC20(token, to, amount);
+    }
+
+    /**
+    * @dev To return the ETH forced to the converter (the converter does not accept ETH transfers).
+    * @param to - recipient of the rescued ETH
+    * @param amount - amount of ETH to rescue
+    */
+    function rescueETH(
+        address payable to, 
+        uint256 amount
+    ) 
+        external 
+        notZeroAddress(to) 
+        onlyRole(DEFAULT_ADMIN_ROLE) 
+        nonReentrant 
+    {
+        Address.sendValue(to, amount);
+
+        emit RescueETH(to, amount);
+    }
+
+    /**
+    * @dev To update the duration of the epoch the volume caps are applied to.
+    * Volumes already converted in the current epoch are not carried over to the new epoch numbering,
+    * so the change resets the caps and is timelocked.
+    * @param epochDuration - epoch duration in seconds
+    */
+    function updateEpochDuration(uint256 epochDuration) external onlyRoleOrTimelock(CONFIG_ADMIN_ROLE, false) {
+        if (epochDuration == 0)
+            revert InvalidUpdateConfigurations();
+
+        _epochDuration = epochDuration;
+
+        emit UpdateEpochDuration(epochDuration);
+    }
+
+    /**
+    * @dev To update the total and per holder volume caps per rolling window of the epoch duration 
+    * of the token conversion direction.
+    * Zero value disables the corresponding cap. Tightening the caps is instant, loosening them is timelocked.
+    * @param token - token address
+    * @param direction - conversion direction the caps are applied to
+    * @param epochLimit - max total volume per epoch
+    * @param holderEpochLimit - max volume of a single holder per epoch
+    */
+    function updateVolumeLimits(
+        address token,
+        ConversionDirection direction,
+        uint256 epochLimit,
+        uint256 holderEpochLimit
+    )
+        external
+        onlyRegisteredToken(token)
+        onlyRoleOrTimelock(
+            CONFIG_ADMIN_ROLE,
+            _isTighterCap(epochLimit, _volumeLimits[token][direction].epochLimit) &&
+            _isTighterCap(holderEpochLimit, _volumeLimits[token][direction].holderEpochLimit)
+        )
+    {
+        // Per holder cap can not exceed the total cap
+        if (epochLimit != 0 && holderEpochLimit > epochLimit)
+            revert InvalidUpdateConfigurations();
+
+        _volumeLimits[token][direction] = VolumeLimits({
+            epochLimit: epochLimit,
+            holderEpochLimit: holderEpochLimit
+        });
+
+        emit UpdateVolumeLimits(token, direction, epochLimit, holderEpochLimit);
+    }
+
+    /**
+    * @dev Function for adding tokens to the converter manager for its possible use.
+    * Not available in the mint/burn mode.
+    * @param token - token address
+    * @param amount - amount for add converter liquidity
+    */
+    function increaseConverterLiquidity(
+        address token, 
+        uint256 amount
+    ) 
+        external 
+        onlyRegisteredToken(token) 
+        onlyLockUnlockMode(token) 
+        onlyRole(LIQUIDITY_MANAGER_ROLE) 
+        nonReentrant
+    {
+        // only the amount actually received is credited to the liquidity
+        _creditLiquidity(token, _pullTokens(token, _msgSender(), amount));
+    }
+
+    /**
+    * @dev Function remove tokens from the converter manager, the tokens are transferred to the liquidity manager
+    * calling the function or executing the timelocked change.
+    * The balance of the locked user funds and the collected fees can not be withdrawn.
+    * Not available in the mint/burn mode. Timelocked.
+    * @param token - token address
+    * @param amount - amount for remove available converter liquidity
+    */
+    function decreaseConverterLiquidity(
+        address token, 
+        uint256 amount
+    ) 
+        external 
+        onlyRegisteredToken(token) 
+        onlyLockUnlockMode(token) 
+        onlyRoleOrTimelock(LIQUIDITY_MANAGER_ROLE, false) 
+        nonReentrant
+    {
+        TokenConfig storage config = _tokenConfigs[token];
+
+        if (config.liquidity == 0) revert InsufficientLiquidityBalance();
+        if (amount > config.liquidity) revert WithdrawExceedsDeposit();
+        // the locked user funds are never withdrawn, even if the balance falls short of them (e.g. rebasing tokens)
+        if (amount + _lockedFunds[token] > _availableBalance(token)) revert InsufficientConverterBalance();
+
+        config.liquidity -= amount;
+
+        _pushTokens(token, _msgSender() == address(this) ? _changeExecutor : _msgSender(), amount);
+
+        emit DecreaseLiquidity(token, amount, config.liquidity);
+    }
+
+    /// Returns the held conversionIn, reverts if the conversion is not held.
+    function _heldConversion(bytes32 conversionId) internal view returns (Conversion storage conversion) {
+        conversion = _conversions[conversionId];
+        if (conversion.status != ConversionStatus.Held)
+            revert ConversionNotHeld();
+    }
+
+    /// Returns the role required to propose and execute the timelocked change of the converter function,
+    /// reverts if the function may not be proposed as the timelocked change.
+    function _changeRole(bytes4 selector) internal pure virtual returns (bytes32) {
+        if (
+            selector == this.updateAuthorizer.selector ||
+            selector == this.addAuthorizer.selector ||
+            selector == this.updateThreshold.selector ||
+            selector == this.updateAuthorizerGracePeriod.selector
+        ) return AUTHORIZER_MANAGER_ROLE;
+
+        if (
+            selector == this.updateConfigurations.selector || 
+            selector == this.updateDestinationChain.selector ||
+            selector == this.updateFees.selector ||
+            selector == this.updateEpochDuration.selector ||
+            selector == this.updateVolumeLimits.selector
+        ) return CONFIG_ADMIN_ROLE;
+
+        if (selector == this.decreaseConverterLiquidity.selector)
+            return LIQUIDITY_MANAGER_ROLE;
+
+        if (selector == this.updateMinDelay.selector)
+            return DEFAULT_ADMIN_ROLE;
+
+        revert UnsupportedChange();
+    }
+
+}
@@ -0,0 +1,817 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/access/IAccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+
+import "./TokenConversionManagerCore.sol";
+
+/**
+ * @dev Converter of the bridged tokens. Manages several registered tokens,
+ * each with its own conversion mode, limits and liquidity.
+ * Shared by the immutable {TokenConversionManagerV3} and the upgradeable {TokenConversionManagerV3Upgradeable}:
+ * the state is set by `_initializeConverter` instead of the constructor, so it works behind a proxy.
+ * The administrative functions are forwarded to the administration module deployed with the converter,
+ * see {TokenConversionManagerAdministration}.
+ */
+abstract contract TokenConversionManagerBase is TokenConversionManagerCore {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using EnumerableSet for EnumerableSet.UintSet;
+    using SafeERC20 for IERC20;
+
+    // Administration module executing the administrative functions in the converter storage
+    address private immutable _administration;
+
+    /**
+    * @param administration - administration module of the converter, see {TokenConversionManagerAdministration}
+    */
+    constructor(address administration) {
+        _administration = administration;
+    }
+
+    // Administrative functions, documented and executed in {TokenConversionManagerAdministration}
+
+    // Roles
+    function grantRole(bytes32 /* role */, address /* account */) external { _administer(); }
+    function revokeRole(bytes32 /* role */, address /* account */) external { _administer(); }
+    function renounceRole(bytes32 /* role */, address /* account */) external { _administer(); }
+
+    // Authorizers
+    function updateAuthorizer(address /* newAuthorizer */) external { _administer(); }
+    function addAuthorizer(address /* authorizer */) external { _administer(); }
+    function removeAuthorizer(address /* authorizer */) external { _administer(); }
+    function updateThreshold(uint256 /* threshold */) external { _administer(); }
+    function updateAuthorizerGracePeriod(uint256 /* gracePeriod */) external { _administer(); }
+    function revokeSignature(bytes32 /* message */) external { _administer(); }
+    function revokeConversionId(bytes32 /* conversionId */) external { _administer(); }
+
+    // Timelock
+    function updateMinDelay(uint256 /* minDelay */) external { _administer(); }
+    function proposeChange(bytes calldata /* data */) external returns (bytes32 /* id */) { _administer(); }
+    function executeChange(bytes32 /* id */) external { _administer(); }
+    function cancelChange(bytes32 /* id */) external { _administer(); }
+
+    // Circuit breakers
+    function pause(bool /* pauseOut */, bool /* pauseIn */) external { _administer(); }
+    function unpause(bool /* unpauseOut */, bool /* unpauseIn */) external { _administer(); }
+
+    // Compliance
+    function updateComplianceOfficer(address /* newComplianceOfficer */) external { _administer(); }
+    function updateDenylist(address[] calldata /* accounts */, bool /* denied */) external { _administer(); }
+    function updateAllowlist(address[] calldata /* accounts */, bool /* allowed */) external { _administer(); }
+    function updateAllowlistMode(bool /* allowlistOnly */) external { _administer(); }
+    function flagConversion(bytes32 /* conversionId */, bool /* flagged */) external { _administer(); }
+    function releaseHeldConversion(bytes32 /* conversionId */) external { _administer(); }
+    function cancelHeldConversion(bytes32 /* conversionId */) external { _administer(); }
+
+    // Tokens and limits
+    function registerToken(address /* token */, ConversionMode /* conversionMode */) external { _administer(); }
+    function updateTokenStatus(address /* token */, bool /* enabled */) external { _administer(); }
+    function updateConfigurations(address /* token */, uint256 /* perTxnMinAmount */, uint256 /* perTxnMaxAmount */) external {
+        _administer();
+    }
+    function updateDestinationChain(
+        address /* token */,
+        uint256 /* chainId */,
+        bool /* enabled */,
+        uint256 /* perTxnMinAmount */,
+        uint256 /* perTxnMaxAmount */
+    ) external {
+        _administer();
+    }
+    function updateEpochDuration(uint256 /* epochDuration */) external { _administer(); }
+    function updateVolumeLimits(
+        address /* token */,
+        ConversionDirection /* direction */,
+        uint256 /* epochLimit */,
+        uint256 /* holderEpochLimit */
+    ) external {
+        _administer();
+    }
+    function updatePermit2(address /* newPermit2 */) external { _administer(); }
+
+    // Fees
+    function updateFees(address /* token */, ConversionDirection /* direction */, uint256 /* feeBps */, uint256 /* minFee */) external {
+        _administer();
+    }
+    function updateFeeCollector(address /* newFeeCollector */) external { _administer(); }
+    function withdrawFees(address /* token */, uint256 /* amount */) external { _administer(); }
+
+    // Liquidity and rescue
+    function increaseConverterLiquidity(address /* token */, uint256 /* amount */) external { _administer(); }
+    function decreaseConverterLiquidity(address /* token */, uint256 /* amount */) external { _administer(); }
+    function rescueERC20(address /* token */, address /* to */, uint256 /* amount */) external { _administer(); }
+    function rescueETH(address payable /* to */, uint256 /* amount */) external { _administer(); }
+
+    /**
+    * @dev To convert the tokens from Ethereum to non Ethereum network. 
+    * The tokens which needs to be convereted will be locked (burned in the mint/burn mode) on the host network.
+    * The conversion authorizer needs to provide the signature to call this function.
+    * @param token - converted token address
+    * @param amount - conversion amount
+    * @param conversionId - hashed conversion id
+    * @param destinationChainId - destination chain id, registered and enabled for the token
+    * @param recipient - recipient address on the destination chain, e.g. the bech32 bytes of the non-EVM address
+    * @param deadline - timestamp after which the authorizer signature is no longer valid
+    * @param signatures - authorizers signatures sorted by the signer address in ascending order
+    */
+    function conversionOut(
+        address token,
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        uint256 deadline,
+        bytes[] calldata signatures
+    ) 
+        external
+        whenConversionOutNotPaused
+        onlyPermittedAccount(_msgSender())
+        onlyEnabledToken(token)
+        checkSignaturesCount(signatures.length)
+        checkLimits(token, amount) 
+        checkDestination(token, destinationChainId, recipient, amount)
+        notExpired(deadline)
+        nonReentrant
+    {
+        // Check for non zero value for the amount is not needed as the Signature will not be generated for zero amount
+        _useSignature(
+            _verifyConversionOut(token, amount, conversionId, destinationChainId, recipient, deadline, signatures)
+        );
+
+        _convertOut(token, _msgSender(), amount, conversionId, destinationChainId, recipient);
+    }
+
+    /**
+    * @dev To convert the tokens from Ethereum to non Ethereum network in a single transaction
+    * using the ERC-2612 permit of the tokens holder instead of the prior approve.
+    * The permit is allowed to be already used (e.g. front-run) while the allowance covers the amount.
+    * @param token - converted token address
+    * @param amount - conversion amount
+    * @param conversionId - hashed conversion id
+    * @param destinationChainId - destination chain id, registered and enabled for the token
+    * @param recipient - recipient address on the destination chain
+    * @param deadline - timestamp after which the authorizer signature is no longer valid
+    * @param signatures - authorizers signatures sorted by the signer address in ascending order
+    * @param permit - ERC-2612 permit signature of the tokens holder for the converter
+    */
+    function conversionOutWithPermit(
+        address token,
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        uint256 deadline,
+        bytes[] calldata signatures,
+        PermitSignature calldata permit
+    ) 
+        external
+        whenConversionOutNotPaused
+        onlyPermittedAccount(_msgSender())
+        onlyEnabledToken(token)
+        checkSignaturesCount(signatures.length)
+        checkLimits(token, amount) 
+        checkDestination(token, destinationChainId, recipient, amount)
+        notExpired(deadline)
+        nonReentrant
+    {
+        _useSignature(
+            _verifyConversionOut(token, amount, conversionId, destinationChainId, recipient, deadline, signatures)
+        );
+
+        _permit(token, amount, permit);
+
+        _convertOut(token, _msgSender(), amount, conversionId, destinationChainId, recipient);
+    }
+
+    /**
+    * @dev To convert the tokens from Ethereum to non Ethereum network in a single transaction
+    * for the tokens without the ERC-2612 permit. The tokens are pulled by the Permit2 signature transfer,
+    * the holder needs to approve the Permit2 contract once. Not available in the mint/burn mode.
+    * @param token - converted token address
+    * @param amount - conversion amount
+    * @param conversionId - hashed conversion id
+    * @param destinationChainId - destination chain id, registered and enabled for the token
+    * @param recipient - recipient address on the destination chain
+    * @param deadline - timestamp after which the authorizer signature is no longer valid
+    * @param signatures - authorizers signatures sorted by the signer address in ascending order
+    * @param permit - Permit2 transfer permit and signature of the tokens holder
+    */
+    function conversionOutWithPermit2(
+        address token,
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        uint256 deadline,
+        bytes[] calldata signatures,
+        Permit2Signature calldata permit
+    ) 
+        external
+        whenConversionOutNotPaused
+        onlyPermittedAccount(_msgSender())
+        onlyEnabledToken(token)
+        onlyLockUnlockMode(token)
+        checkSignaturesCount(signatures.length)
+        checkLimits(token, amount) 
+        checkDestination(token, destinationChainId, recipient, amount)
+        notExpired(deadline)
+        nonReentrant
+    {
+        _useSignature(
+            _verifyConversionOut(token, amount, conversionId, destinationChainId, recipient, deadline, signatures)
+        );
+
+        _convertOutWithPermit2(token, _msgSender(), amount, conversionId, destinationChainId, recipient, permit);
+    }
+
+    /**
+    * @dev To convert the tokens from non Ethereum to Ethereum network. 
+    * The tokens which needs to be convereted will be transfer (minted in the mint/burn mode) on the host network.
+    * The conversion authorizer needs to provide the signature to call this function.
+    * The signature is bound to the recipient, so a recipient-bound claim may be submitted by a relayer.
+    * @param token - converted token address
+    * @param to - distination conversion operation address for transfer tokens at conversion
+    * @param amount - conversion amount
+    * @param conversionId - hashed conversion id
+    * @param deadline - timestamp after which the authorizer signature is no longer valid
+    * @param signatures - authorizers signatures sorted by the signer address in ascending order
+    */
+    function conversionIn(
+        address token,
+        address to, 
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 deadline,
+        bytes[] calldata signatures
+    )
+        external
+        whenConversionInNotPaused
+        onlyPermittedAccount(_msgSender())
+        onlyEnabledToken(token)
+        checkSignaturesCount(signatures.length)
+        notZeroAddress(to)
+        notExpired(deadline)
+        nonReentrant
+    {
+        // Check for non zero value for the amount is not needed as the Signature will not be generated for zero amount
+        _useSignature(_verifyConversionIn(token, to, amount, conversionId, deadline, signatures, _msgSender()));
+
+        _convertIn(token, to, amount, conversionId);
+    }
+
+    /**
+    * @dev To settle several conversionIn requests of the token in a single transaction,
+    * each request is signed by the authorizers as the conversionIn.
+    * In the all-or-nothing mode any failed request reverts the whole batch,
+    * in the skip-failed mode the failed requests are skipped with the ConversionInSkipped event.
+    * @param token - converted token address
+    * @param requests - conversionIn requests with the authorizers signatures
+    * @param skipFailed - skip the failed requests instead of reverting the batch
+    * @return processed - number of the converted requests
+    */
+    function batchConversionIn(
+        address token,
+        ConversionInRequest[] calldata requests,
+        bool skipFailed
+    )
+        external
+        whenConversionInNotPaused
+        onlyPermittedAccount(_msgSender())
+        onlyEnabledToken(token)
+        nonReentrant
+        returns (uint256 processed)
+    {
+        for (uint256 i = 0; i < requests.length; i++) {
+            if (!skipFailed) {
+                _settleConversionIn(token, _msgSender(), requests[i]);
+                processed++;
+                continue;
+            }
+
+            try this.settleConversionIn(token, _msgSender(), requests[i]) {
+                processed++;
+            } catch (bytes memory reason) {
+                emit ConversionInSkipped(token, requests[i].to, requests[i].conversionId, reason);
+            }
+        }
+    }
+
+    /**
+    * @dev To settle several conversionIn requests of the token in a single transaction
+    * by the single authorizers signature of the batch Merkle root.
+    * The root may be settled partially over several transactions until the deadline,
+    * each conversionId is converted only once.
+    * In the all-or-nothing mode any failed leaf reverts the whole batch,
+    * in the skip-failed mode the failed leaves are skipped with the ConversionInSkipped event.
+    * @param token - converted token address
+    * @param root - Merkle root of the batch signed by the authorizers
+    * @param deadline - timestamp after which the authorizer signature is no longer valid
+    * @param signatures - authorizers signatures sorted by the signer address in ascending order
+    * @param leaves - conversionIn requests with the Merkle proofs of their inclusion into the root
+    * @param skipFailed - skip the failed leaves instead of reverting the batch
+    * @return processed - number of the converted leaves
+    */
+    function batchConversionInWithRoot(
+        address token,
+        bytes32 root,
+        uint256 deadline,
+        bytes[] calldata signatures,
+        ConversionInLeaf[] calldata leaves,
+        bool skipFailed
+    )
+        external
+        whenConversionInNotPaused
+        onlyPermittedAccount(_msgSender())
+        onlyEnabledToken(token)
+        checkSignaturesCount(signatures.length)
+        notExpired(deadline)
+        nonReentrant
+        returns (uint256 processed)
+    {
+        _verifyConversionInBatch(token, root, deadline, signatures);
+
+        for (uint256 i = 0; i < leaves.length; i++) {
+            if (!skipFailed) {
+                _settleConversionInLeaf(token, root, leaves[i]);
+                processed++;
+                continue;
+            }
+
+            try this.settleConversionInLeaf(token, root, leaves[i]) {
+                processed++;
+            } catch (bytes memory reason) {
+                emit ConversionInSkipped(token, leaves[i].to, leaves[i].conversionId, reason);
+            }
+        }
+    }
+
+    /**
+    * @dev To refund the conversionOut which was not completed on the destination network.
+    * The locked (burned in the mint/burn mode) net amount is returned to the original tokens holder,
+    * the protocol fee is not refunded. The conversion is cancelled, so it can be refunded only once
+    * and must not be honored on the destination network. The holder is screened as the conversion recipients,
+    * the refund to the denied (or not allowlisted) holder reverts and stays refundable until the holder is cleared.
+    * The conversion authorizers need to provide the signatures to call this function.
+    * @param conversionId - hashed conversion id of the conversionOut
+    * @param deadline - timestamp after which the authorizer signature is no longer valid
+    * @param signatures - authorizers signatures sorted by the signer address in ascending order
+    */
+    function refundConversionOut(
+        bytes32 conversionId,
+        uint256 deadline,
+        bytes[] calldata signatures
+    )
+        external
+        checkSignaturesCount(signatures.length)
+        notExpired(deadline)
+        nonReentrant
+    {
+        Conversion storage conversion = _conversions[conversionId];
+
+        if (conversion.status != ConversionStatus.Out)
+            revert ConversionNotRefundable();
+
+        _checkPermittedAccount(conversion.holder);
+
+        bytes32 message = _hashTypedDataV4(keccak256(abi.encode(CONVERSION_REFUND_TYPEHASH, conversionId, deadline)));
+        if (!_isAuthorizedMessage(message, signatures))
+            revert InvalidRequestOrSignature();
+        _useSignature(message);
+
+        conversion.status = ConversionStatus.Cancelled;
+
+        address token = conversion.token;
+        uint256 amount = conversion.amount - conversion.fee;
+
+        if (_tokenConfigs[token].conversionMode == ConversionMode.MintBurn) {
+            IERC20MintableBurnable(token).mint(conversion.holder, amount);
+        } else {
+            if (_availableBalance(token) < amount)
+                revert InsufficientConverterBalance();
+
+            _releaseLockedFunds(token, amount);
+
+            _pushTokens(token, conversion.holder, amount);
+        }
+
+        emit ConversionRefunded(token, conversion.holder, conversionId, amount);
+    }
+
+    /**
+    * @dev Settles the request of the skip-failed batchConversionIn, so its failure can be caught.
+    * Only callable by the converter itself.
+    */
+    function settleConversionIn(
+        address token,
+        address caller,
+        ConversionInRequest calldata request
+    )
+        external
+        onlySelf
+    {
+        _settleConversionIn(token, caller, request);
+    }
+
+    /**
+    * @dev Settles the leaf of the skip-failed batchConversionInWithRoot, so its failure can be caught.
+    * Only callable by the converter itself.
+    */
+    function settleConversionInLeaf(
+        address token,
+        bytes32 root,
+        ConversionInLeaf calldata leaf
+    )
+        external
+        onlySelf
+    {
+        _settleConversionInLeaf(token, root, leaf);
+    }
+
+    /**
+    * @dev Getter Function return EIP-712 domain separator used for the conversion signatures
+    */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+    * @dev Getter Function return currect converter authorizer, the first one of the authorizers set
+    */
+    function getConversionAuthorizer() external view returns (address) {
+        return _conversionAuthorizers.at(0);
+    }
+
+    /**
+    * @dev Getter Function return currect converter authorizers set and required signatures threshold
+    */
+    function getConversionAuthorizers() external view returns (address[] memory, uint256) {
+        return(_conversionAuthorizers.values(), _authorizersThreshold);
+    }
+
+    /**
+    * @dev Getter Function return current grace period of the authorizers replaced by the updateAuthorizer
+    */
+    function getAuthorizerGracePeriod() external view returns (uint256) {
+        return _authorizerGracePeriod;
+    }
+
+    /**
+    * @dev Getter Function return currect converter authorizers, valid until removed, and the outgoing authorizers
+    * with the timestamps until which their signatures are accepted, the expired ones are excluded
+    */
+    function getAuthorizersValidity() 
+        external 
+        view 
+        returns (address[] memory authorizers, address[] memory outgoingAuthorizers, uint256[] memory validUntil) 
+    {
+        authorizers = _conversionAuthorizers.values();
+
+        uint256 count;
+        for (uint256 i = 0; i < _outgoingAuthorizers.length(); i++) {
+            if (_isAuthorizer(_outgoingAuthorizers.at(i))) count++;
+        }
+
+        outgoingAuthorizers = new address[](count);
+        validUntil = new uint256[](count);
+
+        for (uint256 i = _outgoingAuthorizers.length(); i > 0 && count > 0; i--) {
+            address authorizer = _outgoingAuthorizers.at(i - 1);
+            if (!_isAuthorizer(authorizer)) continue;
+
+            count--;
+            outgoingAuthorizers[count] = authorizer;
+            validUntil[count] = _authorizerValidUntil[authorizer];
+        }
+    }
+
+    /**
+    * @dev Getter Function return whether the account has the role
+    */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return _roleMembers[role].contains(account);
+    }
+
+    /**
+    * @dev Getter Function return the admin role of the role, the default admin role for all the roles
+    */
+    function getRoleAdmin(bytes32 /* role */) external pure returns (bytes32) {
+        return DEFAULT_ADMIN_ROLE;
+    }
+
+    /**
+    * @dev Getter Function return the account of the role by its index, the order is not preserved on revocation
+    */
+    function getRoleMember(bytes32 role, uint256 index) external view returns (address) {
+        return _roleMembers[role].at(index);
+    }
+
+    /**
+    * @dev Getter Function return the number of the accounts granted the role
+    */
+    function getRoleMemberCount(bytes32 role) external view returns (uint256) {
+        return _roleMembers[role].length();
+    }
+
+    /**
+    * @dev Getter Function return all the accounts granted the role
+    */
+    function getRoleMembers(bytes32 role) external view returns (address[] memory) {
+        return _roleMembers[role].values();
+    }
+
+    /**
+    * @dev Getter Function return whether the converter implements the interface, see {IERC165}
+    */
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return
+            interfaceId == type(IAccessControlEnumerable).interfaceId ||
+            interfaceId == type(IAccessControl).interfaceId ||
+            interfaceId == type(IERC165).interfaceId;
+    }
+
+    /**
+    * @dev Getter Function return whether conversionOut and conversionIn are paused
+    */
+    function getPausedConversions() external view returns (bool, bool) {
+        return(_conversionOutPaused, _conversionInPaused);
+    }
+
+    /**
+    * @dev Getter Function return current compliance officer and whether the allowlist-only mode is on
+    */
+    function getCompliance() external view returns (address complianceOfficer, bool allowlistOnly) {
+        return (_complianceOfficer, _allowlistOnly);
+    }
+
+    /**
+    * @dev Getter Function return whether the account is denied and whether it is allowlisted
+    * @param account - screened account address
+    */
+    function getAccountScreening(address account) external view returns (bool denied, bool allowed) {
+        return (_deniedAccounts[account], _allowedAccounts[account]);
+    }
+
+    /**
+    * @dev Getter Function return whether the conversionIn is flagged to be held
+    * @param conversionId - hashed conversion id
+    */
+    function isConversionFlagged(bytes32 conversionId) external view returns (bool) {
+        return _flaggedConversions[conversionId];
+    }
+
+    /**
+    * @dev Getter Function return amount of the held conversionIn reserved by the converter in the lock/unlock mode
+    * @param token - token address
+    */
+    function getHeldFunds(address token) external view returns (uint256) {
+        return _heldFunds[token];
+    }
+
+    /**
+    * @dev Getter Function return processed conversion by its id
+    * @param conversionId - hashed conversion id
+    */
+    function getConversion(bytes32 conversionId) external view returns (Conversion memory) {
+        return _conversions[conversionId];
+    }
+
+    /**
+    * @dev Getter Function return whether the signed message was already used
+    * @param message - EIP-712 typed data digest of the signed request
+    */
+    function isSignatureUsed(bytes32 message) external view returns (bool) {
+        return _usedSignatures[message];
+    }
+
+    /**
+    * @dev Getter Function return whether conversion id was already consumed
+    * @param conversionId - hashed conversion id
+    */
+    function isConversionProcessed(bytes32 conversionId) external view returns (bool) {
+        return _conversions[conversionId].status != ConversionStatus.None;
+    }
+
+    /**
+    * @dev Getter Function return registered tokens and their configurations
+    */
+    function getTokens() external view returns (address[] memory tokens, TokenConfig[] memory configs) {
+        tokens = _tokens.values();
+        configs = new TokenConfig[](tokens.length);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            configs[i] = _tokenConfigs[tokens[i]];
+        }
+    }
+
+    /**
+    * @dev Getter Function return configuration of the registered token
+    * @param token - token address
+    */
+    function getTokenConfig(address token) external view onlyRegisteredToken(token) returns (TokenConfig memory) {
+        return _tokenConfigs[token];
+    }
+
+    /**
+    * @dev Getter Function return currect converter configuration of the token
+    * @param token - token address
+    */
+    function getConversionConfigurations(address token) external view returns (uint256, uint256) {
+        TokenConfig storage config = _tokenConfigs[token];
+
+        return(config.perTxnMinAmount, config.perTxnMaxAmount);
+    }
+
+    /**
+    * @dev Getter Function return destination chains of the token conversionOut and their configurations
+    * @param token - token address
+    */
+    function getDestinationChains(
+        address token
+    ) 
+        external 
+        view 
+        returns (uint256[] memory chainIds, DestinationChain[] memory configs) 
+    {
+        chainIds = _destinationChainIds[token].values();
+        configs = new DestinationChain[](chainIds.length);
+
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            configs[i] = _destinationChains[token][chainIds[i]];
+        }
+    }
+
+    /**
+    * @dev Getter Function return configuration of the destination chain of the token conversionOut
+    * @param token - token address
+    * @param chainId - destination chain id
+    */
+    function getDestinationChain(address token, uint256 chainId) external view returns (DestinationChain memory) {
+        return _destinationChains[token][chainId];
+    }
+
+    /**
+    * @dev Getter Function return protocol fee of the token conversion direction
+    * @param token - token address
+    * @param direction - conversion direction
+    */
+    function getFees(address token, ConversionDirection direction) external view returns (uint256, uint256) {
+        FeeConfig memory config = _fees[token][direction];
+
+        return(config.feeBps, config.minFee);
+    }
+
+    /**
+    * @dev Getter Function return protocol fee and net amount of the conversion
+    * @param token - token address
+    * @param direction - conversion direction
+    * @param amount - gross conversion amount
+    */
+    function calculateFee(
+        address token, 
+        ConversionDirection direction, 
+        uint256 amount
+    ) 
+        external 
+        view 
+        returns (uint256 fee, uint256 netAmount) 
+    {
+        fee = _calculateFee(token, direction, amount);
+        netAmount = amount - fee;
+    }
+
+    /**
+    * @dev Getter Function return currect fee collector
+    */
+    function getFeeCollector() external view returns (address) {
+        return _feeCollector;
+    }
+
+    /**
+    * @dev Getter Function return current delay of the timelocked administrative changes
+    */
+    function getMinDelay() external view returns (uint256) {
+        return _minDelay;
+    }
+
+    /**
+    * @dev Getter Function return pending timelocked change
+    * @param id - id of the pending change
+    */
+    function getPendingChange(bytes32 id) external view returns (PendingChange memory) {
+        return _pendingChanges[id];
+    }
+
+    /**
+    * @dev Getter Function return all pending timelocked changes with their ids
+    */
+    function getPendingChanges() external view returns (bytes32[] memory ids, PendingChange[] memory changes) {
+        ids = _pendingChangeIds.values();
+        changes = new PendingChange[](ids.length);
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            changes[i] = _pendingChanges[ids[i]];
+        }
+    }
+
+    /**
+    * @dev Getter Function return current Permit2 contract address
+    */
+    function getPermit2() external view returns (address) {
+        return _permit2;
+    }
+
+    /**
+    * @dev Getter Function return current epoch duration of the volume caps
+    */
+    function getEpochDuration() external view returns (uint256) {
+        return _epochDuration;
+    }
+
+    /**
+    * @dev Getter Function return total and per holder volume caps of the token conversion direction
+    * @param token - token address
+    * @param direction - conversion direction
+    */
+    function getVolumeLimits(
+        address token, 
+        ConversionDirection direction
+    ) 
+        external 
+        view 
+        returns (uint256, uint256) 
+    {
+        VolumeLimits memory limits = _volumeLimits[token][direction];
+
+        return(limits.epochLimit, limits.holderEpochLimit);
+    }
+
+    /**
+    * @dev Getter Function return remaining total and holder volume of the token conversion direction 
+    * in the rolling window of the epoch duration, max uint256 value is returned for the disabled cap
+    * @param token - token address
+    * @param direction - conversion direction
+    * @param holder - token holder for the conversionOut, recipient for the conversionIn
+    */
+    function getRemainingVolume(
+        address token,
+        ConversionDirection direction, 
+        address holder
+    ) 
+        external 
+        view 
+        returns (uint256 remaining, uint256 holderRemaining) 
+    {
+        VolumeLimits memory limits = _volumeLimits[token][direction];
+        (uint256 volume, uint256 holderVolume) = _windowVolumes(token, direction, holder);
+
+        remaining = _remaining(limits.epochLimit, volume);
+        holderRemaining = _remaining(limits.holderEpochLimit, holderVolume);
+    }
+
+    /**
+    * @dev Getter Function return conversion mode of the registered token
+    * @param token - token address
+    */
+    function getConversionMode(address token) external view onlyRegisteredToken(token) returns (ConversionMode) {
+        return _tokenConfigs[token].conversionMode;
+    }
+
+    /**
+    * @dev Getter Function return converter balance of the registered token broken down into
+    * the liquidity, the locked user funds, the collected fees and the surplus which can be rescued.
+    * The payouts over the locked funds are drawn from the liquidity, so the breakdown and the held funds 
+    * add up to the balance.
+    * @param token - token address
+    */
+    function getBalanceBreakdown(
+        address token
+    ) 
+        external 
+        view 
+        onlyRegisteredToken(token) 
+        returns (uint256 liquidity, uint256 lockedFunds, uint256 collectedFees, uint256 surplus) 
+    {
+        TokenConfig storage config = _tokenConfigs[token];
+
+        return (config.liquidity, _lockedFunds[token], config.collectedFees, _surplus(token));
+    }
+
+    /// Executes the current call in the administration module with the delegatecall and returns its result.
+    function _administer() internal {
+        address administration = _administration;
+
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), administration, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
+    }
+}
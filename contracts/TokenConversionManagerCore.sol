@@ -0,0 +1,1246 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+
+import "./TokenConversionManagerLegacyOwnership.sol";
+import "./interfaces/IERC20MintableBurnable.sol";
+import "./interfaces/ISignatureTransfer.sol";
+
+/**
+ * @dev Shared state, events, modifiers and internal logic of the converter.
+ * Inherited by the converter {TokenConversionManagerBase} and its administration module
+ * {TokenConversionManagerAdministration}, so the module runs with the same storage layout in the converter context.
+ */
+abstract contract TokenConversionManagerCore is TokenConversionManagerLegacyOwnership, EIP712, ReentrancyGuard {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using SafeERC20 for IERC20;
+
+    // Errors, declared in the contract to be the part of the ABI of both the converter and the module
+    error ViolationOfTxAmountLimits();
+    error InvalidRequestOrSignature();
+    error UsedSignature();
+    error InvalidUpdateConfigurations();
+    error InsufficientConverterBalance();
+    error InsufficientLiquidityBalance();
+    error WithdrawExceedsDeposit();
+    error ZeroAddress();
+    error ExpiredRequest();
+    error RecipientMismatch();
+    error UsedConversionId();
+    error ConversionPaused();
+    error EpochLimitExceeded();
+    error HolderEpochLimitExceeded();
+    error InvalidThreshold();
+    error AuthorizerAlreadyExists();
+    error AuthorizerNotFound();
+    error InsufficientSignatures();
+    error UnsupportedConversionMode();
+    error TokenNotRegistered();
+    error TokenAlreadyRegistered();
+    error TokenDisabled();
+    error InvalidFeeConfigurations();
+    error FeeExceedsAmount();
+    error UnauthorizedFeeCollector();
+    error WithdrawExceedsFees();
+    error UnsupportedTokenBehavior();
+    error InvalidPermit();
+    error UnauthorizedCaller();
+    error InvalidMerkleProof();
+    error ConversionNotRefundable();
+    error TimelockRequired();
+    error UnsupportedChange();
+    error ChangeAlreadyProposed();
+    error ChangeNotProposed();
+    error ChangeNotReady();
+    error RescueExceedsSurplus();
+    error UnauthorizedRevoker();
+    error UnauthorizedComplianceOfficer();
+    error DeniedAccount();
+    error AccountNotAllowed();
+    error ConversionNotHeld();
+    error MissingRole(bytes32 role, address account);
+    error DestinationChainNotSupported();
+    error InvalidRecipient();
+
+    // Roles of the role-based access control, the default admin grants and revokes all the roles
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant LIQUIDITY_MANAGER_ROLE = keccak256("LIQUIDITY_MANAGER_ROLE");
+    bytes32 public constant AUTHORIZER_MANAGER_ROLE = keccak256("AUTHORIZER_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Max protocol fee in basis points
+    uint256 internal constant MAX_FEE_BPS = 1_000;
+    uint256 internal constant BPS_DENOMINATOR = 10_000;
+
+    // Max delay of the timelocked administrative changes
+    uint256 internal constant MAX_MIN_DELAY = 30 days;
+
+    // Max grace period of the outgoing authorizers replaced by the updateAuthorizer
+    uint256 internal constant MAX_AUTHORIZER_GRACE_PERIOD = 7 days;
+
+    // Canonical Uniswap Permit2 deployment, the same address on all networks
+    address internal constant CANONICAL_PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+
+    // EIP-712 typed data structures signed by the conversion authorizer
+    // `recipient` is the address on the destination chain, e.g. the bech32 bytes of the non-EVM address
+    bytes32 internal constant CONVERSION_OUT_TYPEHASH = keccak256(
+        "ConversionOut(address token,address holder,uint256 amount,bytes32 conversionId,"
+        "uint256 destinationChainId,bytes recipient,uint256 deadline)"
+    );
+    // `caller` is the only account allowed to submit the claim, zero address lets any relayer submit it
+    bytes32 internal constant CONVERSION_IN_TYPEHASH = keccak256(
+        "ConversionIn(address token,address to,uint256 amount,bytes32 conversionId,address caller,uint256 deadline)"
+    );
+    // `root` is the Merkle root of the batch leaves keccak256(keccak256(abi.encode(to, amount, conversionId)))
+    bytes32 internal constant CONVERSION_IN_BATCH_TYPEHASH = keccak256(
+        "ConversionInBatch(address token,bytes32 root,address caller,uint256 deadline)"
+    );
+    // refund of the conversionOut which was not completed on the destination network
+    bytes32 internal constant CONVERSION_REFUND_TYPEHASH = keccak256(
+        "ConversionRefund(bytes32 conversionId,uint256 deadline)"
+    );
+
+    // Revoked - the conversionId was revoked before its use and can not be converted
+    // Held - the flagged conversionIn is escrowed by the converter until it is released or cancelled
+    // Migrated - the conversionId was processed by the legacy converter, consumed but never refunded by this converter
+    enum ConversionStatus { None, Out, In, Cancelled, Revoked, Held, Migrated }
+
+    enum ConversionDirection { Out, In }
+
+    // LockUnlock - tokens are locked on conversionOut and unlocked from the converter liquidity on conversionIn
+    // MintBurn - tokens are burned on conversionOut and minted on conversionIn
+    enum ConversionMode { LockUnlock, MintBurn }
+
+    // Volume caps per rolling window of the epoch duration, zero value means no cap
+    struct VolumeLimits {
+        uint256 epochLimit;
+        uint256 holderEpochLimit;
+    }
+
+    // Protocol fee of the conversion direction, the greater of the basis points fee and the flat minimum fee is charged
+    struct FeeConfig {
+        uint256 feeBps;
+        uint256 minFee;
+    }
+
+    // Configuration of the registered token
+    struct TokenConfig {
+        bool enabled;
+        ConversionMode conversionMode;
+        uint256 perTxnMinAmount;
+        uint256 perTxnMaxAmount;
+        uint256 liquidity; // tokens added to the converter by the liquidity managers, lock/unlock mode only
+        uint256 collectedFees; // protocol fees held by the converter until withdrawn by the fee collector
+    }
+
+    // Destination chain of the token conversionOut, registered by the config admins
+    struct DestinationChain {
+        bool enabled;
+        uint256 perTxnMinAmount;
+        uint256 perTxnMaxAmount;
+    }
+
+    // ERC-2612 permit signature of the tokens holder for the converter
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // Permit2 signature transfer permit of the tokens holder with the converter as the spender
+    struct Permit2Signature {
+        ISignatureTransfer.PermitTransferFrom permit;
+        bytes signature;
+    }
+
+    // Item of the batch conversionIn signed separately by the authorizers
+    struct ConversionInRequest {
+        address to;
+        uint256 amount;
+        bytes32 conversionId;
+        uint256 deadline;
+        bytes[] signatures;
+    }
+
+    // Item of the batch conversionIn included into the Merkle root signed by the authorizers
+    struct ConversionInLeaf {
+        address to;
+        uint256 amount;
+        bytes32 conversionId;
+        bytes32[] proof;
+    }
+
+    // Timelocked administrative change, the call of the converter itself executed after the delay
+    struct PendingChange {
+        bytes data;
+        uint256 readyAt;
+    }
+
+    struct Conversion {
+        address token;
+        address holder; // tokens holder for the conversionOut, recipient for the conversionIn
+        ConversionStatus status;
+        uint64 blockNumber;
+        uint256 amount; // gross amount including the fee
+        uint256 fee;
+    }
+
+    // Locked user funds and liquidity the payout of the held conversionIn is drawn from
+    struct HeldDraw {
+        uint256 lockedFunds;
+        uint256 liquidity;
+    }
+
+    // Registered tokens and their configurations
+    EnumerableSet.AddressSet internal _tokens;
+    mapping (address => TokenConfig) internal _tokenConfigs;
+
+    EnumerableSet.AddressSet internal _conversionAuthorizers; // Authorizers Addresses for the conversion
+    uint256 internal _authorizersThreshold; // Number of the authorizers signatures required for the conversion
+
+    address internal _legacyGuardian; // Guardian of the former versions, migrated to the pauser role
+
+    address internal _feeCollector; // Address allowed to withdraw the collected protocol fees
+
+    // Permit2 contract used to pull the tokens without the ERC-2612 permit, canonical deployment by default
+    address internal _permit2;
+
+    // token => direction => protocol fee
+    mapping (address => mapping (ConversionDirection => FeeConfig)) internal _fees;
+
+    // Circuit breakers of the conversion directions
+    bool internal _conversionOutPaused;
+    bool internal _conversionInPaused;
+
+    // already used conversion signature from authorizer in order to prevent replay attack
+    mapping (bytes32 => bool) internal _usedSignatures; 
+
+    // processed conversions, each conversionId can be consumed only once across both directions
+    mapping (bytes32 => Conversion) internal _conversions;
+
+    // Volume caps configurations
+    uint256 internal _epochDuration;
+    // token => direction => volume caps
+    mapping (address => mapping (ConversionDirection => VolumeLimits)) internal _volumeLimits;
+
+    // token => direction => epoch => converted volume
+    mapping (address => mapping (ConversionDirection => mapping (uint256 => uint256))) internal _epochVolume;
+    // token => direction => epoch => holder => converted volume
+    mapping (address => mapping (ConversionDirection => mapping (uint256 => mapping (address => uint256)))) 
+        internal _holderEpochVolume;
+
+    // Timelocked administrative changes, zero delay lets the role holders apply the changes instantly
+    uint256 internal _minDelay;
+    EnumerableSet.Bytes32Set internal _pendingChangeIds;
+    mapping (bytes32 => PendingChange) internal _pendingChanges;
+
+    // token => net amount of the user tokens locked by the conversionOut in the lock/unlock mode
+    mapping (address => uint256) internal _lockedFunds;
+
+    // Grace period the authorizers replaced by the updateAuthorizer stay valid for, zero switches them instantly
+    uint256 internal _authorizerGracePeriod;
+    // Outgoing authorizers and the timestamps until which their signatures are still accepted
+    EnumerableSet.AddressSet internal _outgoingAuthorizers;
+    mapping (address => uint256) internal _authorizerValidUntil;
+
+    // Address allowed to manage the account screening and the held conversions besides the default admins
+    address internal _complianceOfficer;
+    // Only the allowlisted accounts may convert while set (e.g. private launch)
+    bool internal _allowlistOnly;
+    mapping (address => bool) internal _deniedAccounts;
+    mapping (address => bool) internal _allowedAccounts;
+    // conversionIds of the conversionIn flagged for the review, held instead of the transfer to the recipient
+    mapping (bytes32 => bool) internal _flaggedConversions;
+    // token => gross amount of the held conversionIn reserved in the lock/unlock mode
+    mapping (address => uint256) internal _heldFunds;
+
+    // role => accounts granted the role
+    mapping (bytes32 => EnumerableSet.AddressSet) internal _roleMembers;
+    // Account executing the timelocked change, set while the change is executed by the converter itself
+    address internal _changeExecutor;
+
+    // token => destination chain ids of the conversionOut and their configurations
+    mapping (address => EnumerableSet.UintSet) internal _destinationChainIds;
+    mapping (address => mapping (uint256 => DestinationChain)) internal _destinationChains;
+
+    // Threshold the outgoing authorizers were replaced with, required while their signatures are submitted
+    uint256 internal _outgoingAuthorizersThreshold;
+
+    // conversionId => funds drawn by the held conversionIn in the lock/unlock mode, returned on the cancellation
+    mapping (bytes32 => HeldDraw) internal _heldDraws;
+
+    // Reserved storage slots for the variables of the future versions of the upgradeable converter
+    uint256[34] private __gap;
+
+    // Events
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    event NewAuthorizer(address conversionAuthorizer);
+    event AddAuthorizer(address conversionAuthorizer);
+    event RemoveAuthorizer(address conversionAuthorizer);
+    event UpdateThreshold(uint256 threshold);
+    event UpdateAuthorizerGracePeriod(uint256 gracePeriod);
+    event RetireAuthorizer(address conversionAuthorizer, uint256 validUntil);
+    event RevokeSignature(bytes32 indexed message, address account);
+    event RevokeConversionId(bytes32 indexed conversionId, address account);
+
+    event UpdateMinDelay(uint256 minDelay);
+    event ProposeChange(bytes32 indexed id, bytes data, uint256 readyAt);
+    event ExecuteChange(bytes32 indexed id);
+    event CancelChange(bytes32 indexed id);
+    event NewComplianceOfficer(address complianceOfficer);
+    event UpdateDenylist(address indexed account, bool denied);
+    event UpdateAllowlist(address indexed account, bool allowed);
+    event UpdateAllowlistMode(bool allowlistOnly);
+    event FlagConversion(bytes32 indexed conversionId, bool flagged);
+    event Paused(address account, bool conversionOut, bool conversionIn);
+    event Unpaused(address account, bool conversionOut, bool conversionIn);
+    event RegisterToken(address indexed token, ConversionMode conversionMode);
+    event UpdateTokenStatus(address indexed token, bool enabled);
+    event UpdateConfiguration(address indexed token, uint256 perTxnMinAmount, uint256 perTxnMaxAmount);
+    event UpdateDestinationChain(
+        address indexed token, 
+        uint256 indexed chainId, 
+        bool enabled, 
+        uint256 perTxnMinAmount, 
+        uint256 perTxnMaxAmount
+    );
+    event UpdateEpochDuration(uint256 epochDuration);
+    event UpdateVolumeLimits(
+        address indexed token, 
+        ConversionDirection direction, 
+        uint256 epochLimit, 
+        uint256 holderEpochLimit
+    );
+
+    event UpdateFees(address indexed token, ConversionDirection direction, uint256 feeBps, uint256 minFee);
+    event NewFeeCollector(address feeCollector);
+    event WithdrawFees(address indexed token, address feeCollector, uint256 amount, uint256 remainingFees);
+
+    event NewPermit2(address permit2);
+
+    event RescueERC20(address indexed token, address indexed to, uint256 amount);
+    event RescueETH(address indexed to, uint256 amount);
+
+    event ConversionOut(
+        address indexed token, 
+        address indexed tokenHolder, 
+        bytes32 conversionId, 
+        uint256 amount, 
+        uint256 fee, 
+        uint256 netAmount,
+        uint256 indexed destinationChainId,
+        bytes recipient
+    );
+    event ConversionIn(
+        address indexed token, 
+        address indexed tokenHolder, 
+        bytes32 conversionId, 
+        uint256 amount, 
+        uint256 fee, 
+        uint256 netAmount
+    );
+
+    event ConversionRefunded(
+        address indexed token, 
+        address indexed tokenHolder, 
+        bytes32 conversionId, 
+        uint256 amount
+    );
+
+    event ConversionHeld(
+        address indexed token, 
+        address indexed tokenHolder, 
+        bytes32 conversionId, 
+        uint256 amount, 
+        uint256 fee
+    );
+    event ConversionReleased(bytes32 indexed conversionId, address account);
+    event HeldConversionCancelled(bytes32 indexed conversionId, address account);
+
+    // Item of the skip-failed batch conversionIn which was not converted
+    event ConversionInSkipped(
+        address indexed token, 
+        address indexed tokenHolder, 
+        bytes32 conversionId, 
+        bytes reason
+    );
+
+    event IncreaseLiquidity(address indexed token, uint256 added, uint256 totalLiquidity);
+    event DecreaseLiquidity(address indexed token, uint256 removed, uint256 totalLiquidity);
+    event SpendLiquidity(address indexed token, uint256 spent, uint256 totalLiquidity);
+    event RestoreLiquidity(address indexed token, uint256 restored, uint256 totalLiquidity);
+
+    // Modifiers
+    modifier checkLimits(address token, uint256 amount) {
+        _checkLimits(token, amount);
+        _;
+    }
+
+    modifier checkDestination(address token, uint256 destinationChainId, bytes calldata recipient, uint256 amount) {
+        _checkDestination(token, destinationChainId, recipient, amount);
+        _;
+    }
+
+    modifier onlyRegisteredToken(address token) {
+        _checkRegisteredToken(token);
+        _;
+    }
+
+    modifier onlyEnabledToken(address token) {
+        _checkEnabledToken(token);
+        _;
+    }
+
+    modifier notZeroAddress(address account) {
+        _checkNotZeroAddress(account);
+        _;
+    }
+
+    modifier onlyLockUnlockMode(address token) {
+        _checkLockUnlockMode(token);
+        _;
+    }
+
+    modifier checkSignaturesCount(uint256 signaturesCount) {
+        _checkSignaturesCount(signaturesCount);
+        _;
+    }
+
+    modifier whenConversionOutNotPaused() {
+        _checkConversionOutNotPaused();
+        _;
+    }
+
+    modifier whenConversionInNotPaused() {
+        _checkConversionInNotPaused();
+        _;
+    }
+
+    modifier onlyFeeCollector() {
+        _checkFeeCollector();
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    modifier onlyRoleOrAuthorizer(bytes32 role) {
+        _checkRoleOrAuthorizer(role);
+        _;
+    }
+
+    modifier onlyAdminOrComplianceOfficer() {
+        _checkAdminOrComplianceOfficer();
+        _;
+    }
+
+    modifier onlyPermittedAccount(address account) {
+        _checkPermittedAccount(account);
+        _;
+    }
+
+    // Timelocked changes are applied by the role holders instantly only if `instant` (e.g. tightening the limits)
+    // or no delay is configured, otherwise they are executed by the converter itself after the delay
+    modifier onlyRoleOrTimelock(bytes32 role, bool instant) {
+        _checkRoleOrTimelock(role, instant);
+        _;
+    }
+
+    modifier onlySelf() {
+        _checkSelf();
+        _;
+    }
+
+    modifier notExpired(uint256 deadline) {
+        _checkNotExpired(deadline);
+        _;
+    }
+
+    // The EIP-712 domain is the same for both deployments and bound to the converter (proxy) address
+    constructor() EIP712("TokenConversionManagerV3", "1") {}
+
+    /// Sets the state of the new converter: the first token and the authorizer with the single signature threshold.
+    function _initializeConverter(address token, ConversionMode conversionMode, address admin) internal {
+        _grantAllRoles(admin);
+        _registerToken(token, conversionMode);
+        _conversionAuthorizers.add(admin); 
+        _authorizersThreshold = 1;
+        _epochDuration = 1 days;
+        _permit2 = CANONICAL_PERMIT2;
+    }
+
+    /// Grants the role to the account, returns false if the account already has the role.
+    function _grantRole(bytes32 role, address account) internal returns (bool granted) {
+        granted = _roleMembers[role].add(account);
+        if (granted)
+            emit RoleGranted(role, account, _msgSender());
+    }
+
+    /// Revokes the role from the account, returns false if the account does not have the role.
+    function _revokeRole(bytes32 role, address account) internal returns (bool revoked) {
+        revoked = _roleMembers[role].remove(account);
+        if (revoked)
+            emit RoleRevoked(role, account, _msgSender());
+    }
+
+    /// Grants the account the default admin and all the operational roles, as held by the owner of the former versions.
+    function _grantAllRoles(address account) internal {
+        _grantRole(DEFAULT_ADMIN_ROLE, account);
+        _grantRole(CONFIG_ADMIN_ROLE, account);
+        _grantRole(LIQUIDITY_MANAGER_ROLE, account);
+        _grantRole(AUTHORIZER_MANAGER_ROLE, account);
+        _grantRole(PAUSER_ROLE, account);
+    }
+
+    /// Credits the tokens received by the converter to the token liquidity.
+    function _creditLiquidity(address token, uint256 amount) internal {
+        TokenConfig storage config = _tokenConfigs[token];
+
+        config.liquidity += amount;
+        
+        emit IncreaseLiquidity(token, amount, config.liquidity);
+    }
+
+    /// Locks (burns) the tokens of the holder, charges the fee and records the verified conversionOut.
+    /// The conversion is recorded with the amount actually received by the converter.
+    function _convertOut(
+        address token, 
+        address holder, 
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 destinationChainId, 
+        bytes calldata recipient
+    ) 
+        internal 
+    {
+        TokenConfig storage config = _tokenConfigs[token];
+        uint256 fee;
+
+        if (config.conversionMode == ConversionMode.MintBurn) {
+            // the fee is kept by the converter, the rest is burned
+            fee = _calculateFee(token, ConversionDirection.Out, amount);
+            uint256 burned = amount - fee;
+            IERC20MintableBurnable(token).burnFrom(holder, burned);
+            if (fee != 0)
+                fee = _pullTokens(token, holder, fee);
+            amount = burned + fee;
+        } else {
+            amount = _pullTokens(token, holder, amount);
+            fee = _calculateFee(token, ConversionDirection.Out, amount);
+        }
+
+        _recordConversionOut(token, holder, amount, fee, conversionId, destinationChainId, recipient);
+    }
+
+    /// Records the conversionOut of the tokens received by the converter and accounts its fee.
+    function _recordConversionOut(
+        address token, 
+        address holder, 
+        uint256 amount, 
+        uint256 fee, 
+        bytes32 conversionId,
+        uint256 destinationChainId,
+        bytes calldata recipient
+    ) 
+        internal 
+    {
+        _registerConversion(conversionId, ConversionStatus.Out, token, holder, amount, fee);
+
+        _consumeVolume(token, ConversionDirection.Out, holder, amount);
+
+        TokenConfig storage config = _tokenConfigs[token];
+
+        config.collectedFees += fee;
+
+        // the net amount is locked for the conversionIn on the way back
+        if (config.conversionMode == ConversionMode.LockUnlock)
+            _lockedFunds[token] += amount - fee;
+
+        emit ConversionOut(token, holder, conversionId, amount, fee, amount - fee, destinationChainId, recipient);
+    }
+
+    /// Records the verified conversionIn and pays it to the recipient, the flagged conversionIn is held instead.
+    function _convertIn(address token, address to, uint256 amount, bytes32 conversionId) internal {
+        _checkPermittedAccount(to);
+
+        uint256 fee = _calculateFee(token, ConversionDirection.In, amount);
+        bool held = _flaggedConversions[conversionId];
+
+        _registerConversion(conversionId, held ? ConversionStatus.Held : ConversionStatus.In, token, to, amount, fee);
+
+        _consumeVolume(token, ConversionDirection.In, to, amount);
+
+        // the lock/unlock payout is drawn from the locked funds and the liquidity, the held one is reserved 
+        // until the release, the mint/burn tokens are minted on the release
+        bool lockUnlock = _tokenConfigs[token].conversionMode == ConversionMode.LockUnlock;
+        HeldDraw memory draw;
+        if (lockUnlock) {
+            if (_availableBalance(token) < amount)
+                revert InsufficientConverterBalance();
+
+            (draw.lockedFunds, draw.liquidity) = _releaseLockedFunds(token, amount);
+        }
+
+        if (!held) {
+            _payConversionIn(token, to, amount, fee, conversionId);
+            return;
+        }
+
+        if (lockUnlock) {
+            _heldFunds[token] += amount;
+            _heldDraws[conversionId] = draw;
+        }
+
+        emit ConversionHeld(token, to, conversionId, amount, fee);
+    }
+
+    /// Charges the fee of the conversionIn and transfers (mints) the tokens to the recipient, the lock/unlock
+    /// payout is drawn by the caller. The emitted net amount is the amount actually received by the recipient.
+    function _payConversionIn(address token, address to, uint256 amount, uint256 fee, bytes32 conversionId) internal {
+        uint256 received;
+        TokenConfig storage config = _tokenConfigs[token];
+
+        if (config.conversionMode == ConversionMode.MintBurn) {
+            // the fee is minted to the converter, the rest to the recipient
+            received = amount - fee;
+            IERC20MintableBurnable(token).mint(to, received);
+            if (fee != 0)
+                IERC20MintableBurnable(token).mint(address(this), fee);
+        } else {
+            // the fee is kept by the converter
+            received = _pushTokens(token, to, amount - fee);
+        }
+
+        config.collectedFees += fee;
+
+        emit ConversionIn(token, to, conversionId, amount, fee, received);
+    }
+
+    /// Verifies and converts the request of the batch submitted by the caller.
+    function _settleConversionIn(address token, address caller, ConversionInRequest calldata request) internal {
+        if (request.to == address(0))
+            revert ZeroAddress();
+        if (block.timestamp > request.deadline)
+            revert ExpiredRequest();
+        if (request.signatures.length < _authorizersThreshold)
+            revert InsufficientSignatures();
+
+        _useSignature(
+            _verifyConversionIn(
+                token, 
+                request.to, 
+                request.amount, 
+                request.conversionId, 
+                request.deadline, 
+                request.signatures, 
+                caller
+            )
+        );
+
+        _convertIn(token, request.to, request.amount, request.conversionId);
+    }
+
+    /// Checks the inclusion of the leaf into the verified batch root and converts it.
+    function _settleConversionInLeaf(address token, bytes32 root, ConversionInLeaf calldata leaf) internal {
+        if (leaf.to == address(0))
+            revert ZeroAddress();
+
+        bytes32 leafHash = keccak256(bytes.concat(keccak256(abi.encode(leaf.to, leaf.amount, leaf.conversionId))));
+        if (!MerkleProof.verifyCalldata(leaf.proof, root, leafHash))
+            revert InvalidMerkleProof();
+
+        _convertIn(token, leaf.to, leaf.amount, leaf.conversionId);
+    }
+
+    /// Checks that the new volume cap is not looser than the current one, zero value means no cap.
+    function _isTighterCap(uint256 newCap, uint256 cap) internal pure returns (bool) {
+        return newCap != 0 && (cap == 0 || newCap <= cap);
+    }
+
+    /// Transfers the tokens to the converter and returns the amount actually received.
+    function _pullTokens(address token, address from, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = getConverterBalance(token);
+
+        IERC20(token).safeTransferFrom(from, address(this), amount);
+
+        received = _receivedAmount(token, balanceBefore, amount);
+    }
+
+    /// Locks the tokens of the holder by the Permit2 signature transfer, charges the fee 
+    /// and records the verified conversionOut with the amount actually received by the converter.
+    function _convertOutWithPermit2(
+        address token,
+        address holder,
+        uint256 amount,
+        bytes32 conversionId,
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        Permit2Signature calldata permit
+    )
+        internal
+    {
+        if (permit.permit.permitted.token != token) revert InvalidPermit();
+
+        uint256 balanceBefore = getConverterBalance(token);
+
+        ISignatureTransfer(_permit2).permitTransferFrom(
+            permit.permit,
+            ISignatureTransfer.SignatureTransferDetails(address(this), amount),
+            holder,
+            permit.signature
+        );
+
+        amount = _receivedAmount(token, balanceBefore, amount);
+
+        _recordConversionOut(
+            token, 
+            holder, 
+            amount, 
+            _calculateFee(token, ConversionDirection.Out, amount), 
+            conversionId,
+            destinationChainId,
+            recipient
+        );
+    }
+
+    /// Returns the amount received by the converter since the balance snapshot.
+    /// Reverts if the converter balance grew by nothing or by more than the transferred amount.
+    function _receivedAmount(
+        address token, 
+        uint256 balanceBefore, 
+        uint256 amount
+    ) 
+        internal 
+        view 
+        returns (uint256 received) 
+    {
+        uint256 balanceAfter = getConverterBalance(token);
+        if (balanceAfter <= balanceBefore || balanceAfter - balanceBefore > amount)
+            revert UnsupportedTokenBehavior();
+
+        received = balanceAfter - balanceBefore;
+    }
+
+    /// Applies the ERC-2612 permit of the tokens holder, the permit failure is tolerated
+    /// while the allowance of the converter covers the amount.
+    function _permit(address token, uint256 amount, PermitSignature calldata permit) internal {
+        try IERC20Permit(token).permit(
+            _msgSender(), 
+            address(this), 
+            permit.value, 
+            permit.deadline, 
+            permit.v, 
+            permit.r, 
+            permit.s
+        ) {} catch {}
+
+        if (IERC20(token).allowance(_msgSender(), address(this)) < amount)
+            revert InvalidPermit();
+    }
+
+    /// Transfers the tokens from the converter and returns the amount actually received by the recipient.
+    /// Reverts if the converter balance does not decrease by exactly the transferred amount.
+    function _pushTokens(address token, address to, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = getConverterBalance(token);
+        uint256 recipientBalanceBefore = IERC20(token).balanceOf(to);
+
+        IERC20(token).safeTransfer(to, amount);
+
+        if (getConverterBalance(token) + amount != balanceBefore)
+            revert UnsupportedTokenBehavior();
+
+        received = IERC20(token).balanceOf(to) - recipientBalanceBefore;
+    }
+
+    function _registerToken(address token, ConversionMode conversionMode) internal notZeroAddress(token) {
+        if (!_tokens.add(token))
+            revert TokenAlreadyRegistered();
+
+        TokenConfig storage config = _tokenConfigs[token];
+        config.enabled = true;
+        config.conversionMode = conversionMode;
+
+        emit RegisterToken(token, conversionMode);
+    }
+
+    /// Checks the conversionOut request signatures and returns its typed data digest.
+    function _verifyConversionOut(
+        address token,
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 destinationChainId,
+        bytes calldata recipient,
+        uint256 deadline,
+        bytes[] calldata signatures
+    )
+        internal
+        view
+        returns (bytes32 message)
+    {
+        // Compose the typed data message which was signed
+        message = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    CONVERSION_OUT_TYPEHASH,
+                    token,
+                    _msgSender(),
+                    amount,
+                    conversionId,
+                    destinationChainId,
+                    keccak256(recipient),
+                    deadline
+                )
+            )
+        );
+
+        // Check that the signatures are from the authorizers
+        if (!_isAuthorizedMessage(message, signatures))
+            revert InvalidRequestOrSignature();
+    }
+
+    /// Checks the conversionIn claim signatures and returns its typed data digest.
+    function _verifyConversionIn(
+        address token,
+        address to, 
+        uint256 amount, 
+        bytes32 conversionId, 
+        uint256 deadline,
+        bytes[] calldata signatures,
+        address caller
+    )
+        internal
+        view
+        returns (bytes32 message)
+    {
+        // Compose the typed data message which was signed for the caller
+        message = _conversionInMessage(token, to, amount, conversionId, caller, deadline);
+
+        // Check that the signatures are from the authorizers
+        if (_isAuthorizedMessage(message, signatures))
+            return message;
+
+        // Compose the typed data message which was signed for any relayer
+        message = _conversionInMessage(token, to, amount, conversionId, address(0), deadline);
+
+        if (_isAuthorizedMessage(message, signatures))
+            return message;
+
+        // Claim was issued to the caller but submitted with another recipient
+        if (
+            to != caller && 
+            _isAuthorizedMessage(
+                _conversionInMessage(token, caller, amount, conversionId, caller, deadline), 
+                signatures
+            )
+        )
+            revert RecipientMismatch();
+
+        revert InvalidRequestOrSignature();
+    }
+
+    /// Checks the batch root signatures for the caller or any relayer, the root signature is not consumed
+    /// as the root may be settled partially, each leaf is consumed by its conversionId. The revoked root is rejected.
+    function _verifyConversionInBatch(
+        address token,
+        bytes32 root,
+        uint256 deadline,
+        bytes[] calldata signatures
+    )
+        internal
+        view
+    {
+        bytes32 message = _conversionInBatchMessage(token, root, _msgSender(), deadline);
+
+        if (!_isAuthorizedMessage(message, signatures)) {
+            message = _conversionInBatchMessage(token, root, address(0), deadline);
+
+            if (!_isAuthorizedMessage(message, signatures))
+                revert InvalidRequestOrSignature();
+        }
+
+        if (_usedSignatures[message])
+            revert UsedSignature();
+    }
+
+    /// Marks the signed message as used, reverts on the replay attack (message signature can be used only once).
+    function _useSignature(bytes32 message) internal {
+        if (_usedSignatures[message])
+            revert UsedSignature();
+        _usedSignatures[message] = true;
+    }
+
+    /// Records the processed conversion, reverts if the conversionId was already consumed.
+    function _registerConversion(
+        bytes32 conversionId, 
+        ConversionStatus status, 
+        address token,
+        address holder, 
+        uint256 amount,
+        uint256 fee
+    ) 
+        internal 
+    {
+        if (_conversions[conversionId].status != ConversionStatus.None)
+            revert UsedConversionId();
+
+        _conversions[conversionId] = Conversion({
+            token: token,
+            holder: holder,
+            status: status,
+            blockNumber: uint64(block.number),
+            amount: amount,
+            fee: fee
+        });
+    }
+
+    /// Calculates the protocol fee of the conversion, reverts if the fee consumes the whole amount.
+    function _calculateFee(
+        address token, 
+        ConversionDirection direction, 
+        uint256 amount
+    ) 
+        internal 
+        view 
+        returns (uint256 fee) 
+    {
+        FeeConfig memory config = _fees[token][direction];
+
+        fee = amount * config.feeBps / BPS_DENOMINATOR;
+        if (fee < config.minFee)
+            fee = config.minFee;
+
+        if (fee >= amount)
+            revert FeeExceedsAmount();
+    }
+
+    /// Converter balance of the token excluding the collected fees and the funds of the held conversionIn.
+    function _availableBalance(address token) internal view returns (uint256) {
+        return getConverterBalance(token) - _tokenConfigs[token].collectedFees - _heldFunds[token];
+    }
+
+    /// Releases the locked user funds paid out by the conversionIn or the refund, the amount over
+    /// the locked funds is drawn from the liquidity and the rest over the liquidity from the surplus.
+    function _releaseLockedFunds(address token, uint256 amount) internal returns (uint256 released, uint256 spent) {
+        uint256 locked = _lockedFunds[token];
+        if (amount <= locked) {
+            _lockedFunds[token] = locked - amount;
+            return (amount, 0);
+        }
+
+        _lockedFunds[token] = 0;
+
+        TokenConfig storage config = _tokenConfigs[token];
+        spent = amount - locked < config.liquidity ? amount - locked : config.liquidity;
+        if (spent != 0) {
+            config.liquidity -= spent;
+
+            emit SpendLiquidity(token, spent, config.liquidity);
+        }
+
+        return (locked, spent);
+    }
+
+    /// Returns the converter balance over the liquidity, the locked user funds, the collected fees and the held funds.
+    function _surplus(address token) internal view returns (uint256) {
+        uint256 reserved = _tokenConfigs[token].liquidity + _lockedFunds[token];
+        uint256 available = _availableBalance(token);
+
+        return available > reserved ? available - reserved : 0;
+    }
+
+    /// Accounts the converted volume of the current epoch, reverts if the volume caps of the window are exceeded.
+    function _consumeVolume(
+        address token, 
+        ConversionDirection direction, 
+        address holder, 
+        uint256 amount
+    ) 
+        internal 
+    {
+        VolumeLimits memory limits = _volumeLimits[token][direction];
+        (uint256 volume, uint256 holderVolume) = _windowVolumes(token, direction, holder);
+
+        if (limits.epochLimit != 0 && volume + amount > limits.epochLimit)
+            revert EpochLimitExceeded();
+        if (limits.holderEpochLimit != 0 && holderVolume + amount > limits.holderEpochLimit)
+            revert HolderEpochLimitExceeded();
+
+        uint256 epoch = _currentEpoch();
+        _epochVolume[token][direction][epoch] += amount;
+        _holderEpochVolume[token][direction][epoch][holder] += amount;
+    }
+
+    /// Returns the total and holder volumes of the rolling window of the epoch duration ending now: the volumes
+    /// of the current epoch and the volumes of the previous epoch weighted by its part still inside the window.
+    function _windowVolumes(
+        address token, 
+        ConversionDirection direction, 
+        address holder
+    ) 
+        internal 
+        view 
+        returns (uint256 volume, uint256 holderVolume) 
+    {
+        uint256 epoch = _currentEpoch();
+        volume = _epochVolume[token][direction][epoch];
+        holderVolume = _holderEpochVolume[token][direction][epoch][holder];
+        if (epoch == 0) return (volume, holderVolume);
+
+        uint256 weight = _epochDuration - block.timestamp % _epochDuration;
+        volume += Math.mulDiv(
+            _epochVolume[token][direction][epoch - 1], weight, _epochDuration, Math.Rounding.Up
+        );
+        holderVolume += Math.mulDiv(
+            _holderEpochVolume[token][direction][epoch - 1][holder], weight, _epochDuration, Math.Rounding.Up
+        );
+    }
+
+    function _currentEpoch() internal view returns (uint256) {
+        return block.timestamp / _epochDuration;
+    }
+
+    function _remaining(uint256 limit, uint256 volume) internal pure returns (uint256) {
+        if (limit == 0) return type(uint256).max;
+
+        return limit > volume ? limit - volume : 0;
+    }
+
+    /// Builds the typed data digest of the conversionIn claim.
+    function _conversionInMessage(
+        address token,
+        address to, 
+        uint256 amount, 
+        bytes32 conversionId, 
+        address caller, 
+        uint256 deadline
+    ) 
+        internal 
+        view 
+        returns (bytes32) 
+    {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    CONVERSION_IN_TYPEHASH,
+                    token,
+                    to,
+                    amount,
+                    conversionId,
+                    caller,
+                    deadline
+                )
+            )
+        );
+    }
+
+    function _conversionInBatchMessage(
+        address token,
+        bytes32 root,
+        address caller,
+        uint256 deadline
+    )
+        internal
+        view
+        returns (bytes32)
+    {
+        return _hashTypedDataV4(keccak256(abi.encode(CONVERSION_IN_BATCH_TYPEHASH, token, root, caller, deadline)));
+    }
+
+    /// Keeps the replaced authorizer valid for the grace period.
+    function _retireAuthorizer(address authorizer) internal {
+        if (_authorizerGracePeriod == 0) return;
+
+        uint256 validUntil = block.timestamp + _authorizerGracePeriod;
+        _outgoingAuthorizers.add(authorizer);
+        _authorizerValidUntil[authorizer] = validUntil;
+
+        emit RetireAuthorizer(authorizer, validUntil);
+    }
+
+    /// Ends the grace period of the outgoing authorizer, returns false if the account is not an outgoing authorizer.
+    function _endGracePeriod(address authorizer) internal returns (bool) {
+        if (!_outgoingAuthorizers.remove(authorizer)) return false;
+
+        delete _authorizerValidUntil[authorizer];
+
+        return true;
+    }
+
+    /// Removes the outgoing authorizers whose grace period is over.
+    function _pruneOutgoingAuthorizers() internal {
+        for (uint256 i = _outgoingAuthorizers.length(); i > 0; i--) {
+            address authorizer = _outgoingAuthorizers.at(i - 1);
+            if (block.timestamp > _authorizerValidUntil[authorizer])
+                _endGracePeriod(authorizer);
+        }
+    }
+
+    /// Checks that the converting account is not denied and is allowlisted in the allowlist-only mode.
+    function _checkPermittedAccount(address account) internal view {
+        if (_deniedAccounts[account])
+            revert DeniedAccount();
+        if (_allowlistOnly && !_allowedAccounts[account])
+            revert AccountNotAllowed();
+    }
+
+    /// Checks that the account is the authorizer or the outgoing authorizer in its grace period.
+    function _isAuthorizer(address account) internal view returns (bool) {
+        return _conversionAuthorizers.contains(account) || block.timestamp <= _authorizerValidUntil[account];
+    }
+
+    /// Checks that the typed data digest was signed by the conversion authorizers.
+    /// Signatures must be sorted by the signer address, so each authorizer is counted only once.
+    /// Signatures of the outgoing authorizers are accepted only up to the threshold they were replaced with,
+    /// so a single outgoing key of the former M-of-N set can not authorize the conversion by itself.
+    function _isAuthorizedMessage(
+        bytes32 digest, 
+        bytes[] calldata signatures
+    ) 
+        internal 
+        view 
+        returns (bool) 
+    {
+        address lastSigner;
+        bool outgoingSigner;
+
+        for (uint256 i = 0; i < signatures.length; i++) {
+            (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(digest, signatures[i]);
+
+            if (error != ECDSA.RecoverError.NoError || signer <= lastSigner || !_isAuthorizer(signer))
+                return false;
+
+            if (!_conversionAuthorizers.contains(signer))
+                outgoingSigner = true;
+
+            lastSigner = signer;
+        }
+
+        return !outgoingSigner || signatures.length >= _outgoingAuthorizersThreshold;
+    }
+
+    // Modifiers checks, called instead of inlined to keep the converter under the contract size limit
+    function _checkLimits(address token, uint256 amount) private view {
+        // Check for min, max per transaction limits
+        TokenConfig storage config = _tokenConfigs[token];
+        if (amount < config.perTxnMinAmount || amount > config.perTxnMaxAmount)
+            revert ViolationOfTxAmountLimits();
+    }
+
+    function _checkDestination(
+        address token, 
+        uint256 destinationChainId, 
+        bytes calldata recipient, 
+        uint256 amount
+    ) 
+        private 
+        view 
+    {
+        DestinationChain storage chain = _destinationChains[token][destinationChainId];
+        if (!chain.enabled)
+            revert DestinationChainNotSupported();
+        if (recipient.length == 0)
+            revert InvalidRecipient();
+        // Check for min, max per transaction limits of the destination chain
+        if (amount < chain.perTxnMinAmount || amount > chain.perTxnMaxAmount)
+            revert ViolationOfTxAmountLimits();
+    }
+
+    function _checkRegisteredToken(address token) private view {
+        if (!_tokens.contains(token))
+            revert TokenNotRegistered();
+    }
+
+    function _checkEnabledToken(address token) private view {
+        if (!_tokenConfigs[token].enabled)
+            revert TokenDisabled();
+    }
+
+    function _checkNotZeroAddress(address account) private pure {
+        if (account == address(0))
+            revert ZeroAddress();
+    }
+
+    function _checkLockUnlockMode(address token) private view {
+        if (_tokenConfigs[token].conversionMode != ConversionMode.LockUnlock)
+            revert UnsupportedConversionMode();
+    }
+
+    function _checkSignaturesCount(uint256 signaturesCount) private view {
+        if (signaturesCount < _authorizersThreshold)
+            revert InsufficientSignatures();
+    }
+
+    function _checkConversionOutNotPaused() private view {
+        if (_conversionOutPaused)
+            revert ConversionPaused();
+    }
+
+    function _checkConversionInNotPaused() private view {
+        if (_conversionInPaused)
+            revert ConversionPaused();
+    }
+
+    function _checkFeeCollector() private view {
+        if (_msgSender() != _feeCollector)
+            revert UnauthorizedFeeCollector();
+    }
+
+    function _checkRole(bytes32 role) internal view {
+        if (!_roleMembers[role].contains(_msgSender()))
+            revert MissingRole(role, _msgSender());
+    }
+
+    function _checkRoleOrAuthorizer(bytes32 role) private view {
+        if (!_roleMembers[role].contains(_msgSender()) && !_isAuthorizer(_msgSender()))
+            revert UnauthorizedRevoker();
+    }
+
+    function _checkAdminOrComplianceOfficer() private view {
+        if (!_roleMembers[DEFAULT_ADMIN_ROLE].contains(_msgSender()) && _msgSender() != _complianceOfficer)
+            revert UnauthorizedComplianceOfficer();
+    }
+
+    function _checkRoleOrTimelock(bytes32 role, bool instant) private view {
+        if (_msgSender() != address(this)) {
+            _checkRole(role);
+            if (!instant && _minDelay != 0)
+                revert TimelockRequired();
+        }
+    }
+
+    function _checkSelf() private view {
+        if (_msgSender() != address(this))
+            revert UnauthorizedCaller();
+    }
+
+    function _checkNotExpired(uint256 deadline) private view {
+        if (block.timestamp > deadline)
+            revert ExpiredRequest();
+    }
+
+    /**
+    * @dev Getter Function return currect converter balance of tokens
+    * @param token - token address
+    */
+    function getConverterBalance(address token) public view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+}
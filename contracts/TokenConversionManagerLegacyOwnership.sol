@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/utils/Context.sol";
+
+/**
+ * @dev Storage of the Ownable2Step owner of the converter versions before the role-based access control.
+ * Replaces Ownable2Step in the inheritance of {TokenConversionManagerCore} to keep the storage layout
+ * of the deployed upgradeable converters, their owner is granted the roles by the migration,
+ * see {TokenConversionManagerV3Upgradeable-migrateToRoles}.
+ */
+abstract contract TokenConversionManagerLegacyOwnership is Context {
+    address private _owner;
+    address private _pendingOwner;
+
+    /// Clears the legacy owner and returns it, zero address for the new deployments or once migrated.
+    function _clearLegacyOwner() internal returns (address owner) {
+        owner = _owner;
+
+        delete _owner;
+        delete _pendingOwner;
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+
+/**
+ * @dev Transparent (ERC-1967) proxy of the {TokenConversionManagerV3Upgradeable} converter.
+ * The `admin` is the ProxyAdmin which ownership is transferred to the proxy after the deployment,
+ * so the upgrades are authorized by the converter itself.
+ */
+contract TokenConversionManagerV3Proxy is TransparentUpgradeableProxy {
+    /**
+    * @param implementation - address of the converter implementation
+    * @param admin - address of the ProxyAdmin
+    * @param data - encoded `initialize` call
+    */
+    constructor(
+        address implementation, 
+        address admin, 
+        bytes memory data
+    ) 
+        TransparentUpgradeableProxy(implementation, admin, data) 
+    {}
+}
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Upgrade.sol";
+
+import "./TokenConversionManagerBase.sol";
+import "./TokenConversionManagerV3UpgradeableAdministration.sol";
+import "./interfaces/ILegacyTokenConversionManagerV3.sol";
+
+// Errors
+error LegacyConverterNotOwned();
+
+/**
+ * @dev Converter of the bridged tokens deployed behind the transparent (ERC-1967) proxy.
+ * The ProxyAdmin of the proxy is owned by the converter itself, so the upgrades go through `upgradeConverter`
+ * authorized by the default admins and timelocked like the other administrative changes.
+ * Includes the migration routine of the liquidity and the conversion history from the deployed single token V3 converter,
+ * see {ILegacyTokenConversionManagerV3}.
+ */
+contract TokenConversionManagerV3Upgradeable is Initializable, TokenConversionManagerBase, ERC1967Upgrade {
+    // Reserved storage slots for the variables of the future versions of the upgradeable converter
+    uint256[50] private __gap;
+
+    // Events
+    event MigrateLiquidity(address indexed legacyConverter, address indexed token, uint256 amount);
+    event MigrateLockedFunds(address indexed legacyConverter, address indexed token, uint256 amount);
+    event MigrateHistory(address indexed legacyConverter, uint256 conversionsCount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() TokenConversionManagerBase(address(new TokenConversionManagerV3UpgradeableAdministration())) {
+        _disableInitializers();
+    }
+
+    /**
+    * @dev Initializes the proxy state, can be called only once
+    * @param token - first token managed by the converter
+    * @param conversionMode - conversion mode of the first token
+    * @param admin - default admin granted all the roles and first conversion authorizer of the converter
+    */
+    function initialize(
+        address token,
+        ConversionMode conversionMode,
+        address admin
+    )
+        external
+        initializer
+        notZeroAddress(admin)
+    {
+        _initializeConverter(token, conversionMode, admin);
+    }
+
+    /**
+    * @dev Migrates the converter deployed before the role-based access control, executed once by the upgrade call.
+    * The former owner is granted the default admin and all the operational roles, the former guardian the pauser role.
+    * The former owner upgrades the proxy with `upgradeConverter(newImplementation, abi.encodeCall(migrateToRoles, ()))`
+    * (proposed and executed after the delay if the timelock is configured), so the roles are granted by the upgrade
+    * itself. The upgrade without the call leaves the proxy without the admins.
+    * Version 2 of the proxy, the versions after the role-based access control reinitialize from version 3 on.
+    */
+    function migrateToRoles() external reinitializer(2) {
+        address legacyOwner = _clearLegacyOwner();
+        if (legacyOwner == address(0))
+            revert ZeroAddress();
+
+        _grantAllRoles(legacyOwner);
+
+        if (_legacyGuardian != address(0)) {
+            _grantRole(PAUSER_ROLE, _legacyGuardian);
+            delete _legacyGuardian;
+        }
+    }
+
+    /**
+    * @dev To upgrade the converter to the new implementation, see {TokenConversionManagerV3UpgradeableAdministration}
+    */
+    function upgradeConverter(address /* newImplementation */, bytes calldata /* data */) external { _administer(); }
+
+    /**
+    * @dev Function accepts the pending ownership of the legacy converter (Ownable2Step) and stops its conversions.
+    * The legacy converter has no circuit breakers, so its authorizer is replaced with the migration authorizer
+    * supplied by the admin, which signs only the transfer of the locked funds, see {migrateLegacyLockedFunds}.
+    * The requests signed for the legacy converter but not submitted yet are rejected and must be signed again.
+    * The legacy owner must transfer the ownership to this converter first.
+    * @param legacyConverter - address of the legacy V3 converter
+    * @param migrationAuthorizer - authorizer installed on the legacy converter until the locked funds are moved
+    */
+    function acceptLegacyOwnership(
+        address legacyConverter,
+        address migrationAuthorizer
+    )
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        ILegacyTokenConversionManagerV3(legacyConverter).acceptOwnership();
+        ILegacyTokenConversionManagerV3(legacyConverter).updateAuthorizer(migrationAuthorizer);
+    }
+
+    /**
+    * @dev Function moves the liquidity from the legacy converter owned by this converter.
+    * The legacy converter withdraws its liquidity to the owner, the amount actually received is credited.
+    * @param legacyConverter - address of the legacy V3 converter
+    * @param token - token of the legacy converter, registered in the lock/unlock mode on this converter
+    * @param amount - amount of the legacy liquidity to move
+    */
+    function migrateLegacyLiquidity(
+        address legacyConverter,
+        address token,
+        uint256 amount
+    )
+        external
+        onlyRegisteredToken(token)
+        onlyLockUnlockMode(token)
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        nonReentrant
+    {
+        uint256 balanceBefore = getConverterBalance(token);
+
+        ILegacyTokenConversionManagerV3(legacyConverter).decreaseConverterLiquidity(amount);
+
+        uint256 received = _receivedAmount(token, balanceBefore, amount);
+        _creditLiquidity(token, received);
+
+        emit MigrateLiquidity(legacyConverter, token, received);
+    }
+
+    /**
+    * @dev Function moves the rest of the legacy converter balance, the funds locked by the legacy conversionOut,
+    * after its liquidity has been moved by {migrateLegacyLiquidity}. The legacy converter pays its whole balance 
+    * to this converter by the conversionIn signed by the migration authorizer, the amount actually received is 
+    * added to the locked funds. The migration authorizer is then replaced with this converter which never signs.
+    * @param legacyConverter - address of the legacy V3 converter
+    * @param token - token of the legacy converter, registered in the lock/unlock mode on this converter
+    * @param conversionId - conversion id of the legacy conversionIn signed by the migration authorizer
+    * @param v - split migration authorizer signature of the legacy conversionIn of the whole legacy balance
+    * @param r - split migration authorizer signature
+    * @param s - split migration authorizer signature
+    */
+    function migrateLegacyLockedFunds(
+        address legacyConverter,
+        address token,
+        bytes32 conversionId,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        onlyRegisteredToken(token)
+        onlyLockUnlockMode(token)
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        nonReentrant
+    {
+        ILegacyTokenConversionManagerV3 legacy = ILegacyTokenConversionManagerV3(legacyConverter);
+        uint256 amount = legacy.getConverterBalance();
+        uint256 balanceBefore = getConverterBalance(token);
+
+        legacy.conversionIn(address(this), amount, conversionId, v, r, s);
+        legacy.updateAuthorizer(address(this));
+
+        uint256 received = _receivedAmount(token, balanceBefore, amount);
+        _lockedFunds[token] += received;
+
+        emit MigrateLockedFunds(legacyConverter, token, received);
+    }
+
+    /**
+    * @dev Function carries over the conversion ids processed by the legacy converter owned by this converter,
+    * so the conversions already processed there can't be processed again. The legacy converter keeps no history
+    * on-chain, the ids are taken from its ConversionOut and ConversionIn events. The ids are recorded as Migrated,
+    * so the conversionOut locked on the legacy converter can't be refunded from this converter liquidity.
+    * The legacy signatures are bound to the legacy converter and can't be replayed here, they are not carried over.
+    * @param legacyConverter - address of the legacy V3 converter
+    * @param conversionIds - conversion ids processed by the legacy converter
+    */
+    function migrateLegacyHistory(
+        address legacyConverter,
+        bytes32[] calldata conversionIds
+    )
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (ILegacyTokenConversionManagerV3(legacyConverter).owner() != address(this))
+            revert LegacyConverterNotOwned();
+
+        for (uint256 i = 0; i < conversionIds.length; i++) {
+            _registerConversion(conversionIds[i], ConversionStatus.Migrated, address(0), address(0), 0, 0);
+        }
+
+        emit MigrateHistory(legacyConverter, conversionIds.length);
+    }
+
+    /**
+    * @dev Getter Function return current converter implementation address
+    */
+    function getImplementation() external view returns (address) {
+        return _getImplementation();
+    }
+}
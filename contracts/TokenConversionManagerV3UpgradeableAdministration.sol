@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Upgrade.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+
+import "./TokenConversionManagerAdministration.sol";
+
+/**
+ * @dev Administration module of the upgradeable converter {TokenConversionManagerV3Upgradeable},
+ * inherits the same base contracts in the same order to have the same storage layout. Adds the upgrades of the converter.
+ */
+contract TokenConversionManagerV3UpgradeableAdministration is
+    Initializable,
+    TokenConversionManagerAdministration,
+    ERC1967Upgrade
+{
+    /**
+    * @dev To upgrade the converter to the new implementation through the ProxyAdmin owned by the converter.
+    * Timelocked.
+    * @param newImplementation - address of the new converter implementation
+    * @param data - encoded call of the new implementation (e.g. reinitializer), executed if not empty
+    */
+    function upgradeConverter(address newImplementation, bytes calldata data) external {
+        _authorizeUpgrade(newImplementation);
+
+        ProxyAdmin proxyAdmin = ProxyAdmin(_getAdmin());
+        ITransparentUpgradeableProxy proxy = ITransparentUpgradeableProxy(address(this));
+
+        if (data.length == 0) {
+            proxyAdmin.upgrade(proxy, newImplementation);
+        } else {
+            proxyAdmin.upgradeAndCall(proxy, newImplementation, data);
+        }
+    }
+
+    /// Upgrade authorization hook, upgrades are authorized by the default admins and timelocked when the min delay is set.
+    function _authorizeUpgrade(address) internal virtual onlyRoleOrTimelock(DEFAULT_ADMIN_ROLE, false) {}
+
+    /// Upgrades may be proposed as the timelocked changes of the default admins as well.
+    function _changeRole(bytes4 selector) internal pure override returns (bytes32) {
+        if (selector == this.upgradeConverter.selector)
+            return DEFAULT_ADMIN_ROLE;
+
+        return super._changeRole(selector);
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev Interface of the bridged token managed by the converter in the mint/burn conversion mode.
+ * The converter needs the minter role of the token to mint the tokens.
+ */
+interface IERC20MintableBurnable is IERC20 {
+    function mint(address to, uint256 amount) external;
+
+    function burnFrom(address account, uint256 amount) external;
+}
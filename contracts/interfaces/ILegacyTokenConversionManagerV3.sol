@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+/**
+ * @dev Interface of the deployed single token TokenConversionManagerV3 (Ownable2Step) migrated
+ * to the upgradeable converter. The legacy converter has no circuit breakers and no getters of its history.
+ */
+interface ILegacyTokenConversionManagerV3 {
+    function owner() external view returns (address);
+
+    function acceptOwnership() external;
+
+    function updateAuthorizer(address newAuthorizer) external;
+
+    function decreaseConverterLiquidity(uint256 amount) external;
+
+    function conversionIn(address to, uint256 amount, bytes32 conversionId, uint8 v, bytes32 r, bytes32 s) external;
+
+    function getConversionAuthorizer() external view returns (address);
+
+    function getConverterBalance() external view returns (uint256);
+}
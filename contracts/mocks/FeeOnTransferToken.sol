@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @dev Token for tests which burns `transferFeeBps` of every transferred amount,
+ * so the recipient receives less than the amount sent.
+ */
+contract FeeOnTransferToken is ERC20 {
+    uint256 public transferFeeBps;
+
+    constructor(string memory name, string memory symbol, uint256 feeBps) ERC20(name, symbol) {
+        transferFeeBps = feeBps;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return 8;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 transferFee = amount * transferFeeBps / 10_000;
+
+        if (transferFee != 0)
+            _burn(from, transferFee);
+
+        super._transfer(from, to, amount - transferFee);
+    }
+}
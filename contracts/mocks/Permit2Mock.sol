@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+import "../interfaces/ISignatureTransfer.sol";
+
+/**
+ * @dev Permit2 `SignatureTransfer` for tests, follows the typed data and
+ * the unordered nonces of the canonical Uniswap Permit2 deployment.
+ */
+contract Permit2Mock is ISignatureTransfer {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant _DOMAIN_TYPEHASH = 
+        keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant _PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)"
+        "TokenPermissions(address token,uint256 amount)"
+    );
+
+    // owner => word position => nonces bitmap
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, keccak256("Permit2"), block.chainid, address(this)));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= permit.deadline, "Permit2Mock: signature expired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "Permit2Mock: invalid amount");
+
+        _useUnorderedNonce(owner, permit.nonce);
+
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR(),
+            keccak256(abi.encode(
+                _PERMIT_TRANSFER_FROM_TYPEHASH,
+                keccak256(abi.encode(_TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)),
+                msg.sender,
+                permit.nonce,
+                permit.deadline
+            ))
+        ));
+        require(ECDSA.recover(digest, signature) == owner, "Permit2Mock: invalid signer");
+
+        IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+
+    function _useUnorderedNonce(address owner, uint256 nonce) internal {
+        uint256 bit = 1 << uint8(nonce);
+        uint256 flipped = nonceBitmap[owner][nonce >> 8] ^= bit;
+
+        require(flipped & bit != 0, "Permit2Mock: invalid nonce");
+    }
+}
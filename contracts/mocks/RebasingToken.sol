@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+/**
+ * @dev Rebasing token for tests. Balances are shares scaled by the rebase index,
+ * which grows by `rebaseOnTransferBps` after every transfer.
+ */
+contract RebasingToken {
+    uint256 private constant INDEX_PRECISION = 1e18;
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 8;
+
+    uint256 public rebaseIndex = INDEX_PRECISION;
+    uint256 public rebaseOnTransferBps;
+
+    mapping(address => uint256) public sharesOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    uint256 public totalShares;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory name_, string memory symbol_) {
+        name = name_;
+        symbol = symbol_;
+    }
+
+    function totalSupply() external view returns (uint256) {
+        return totalShares * rebaseIndex / INDEX_PRECISION;
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        return sharesOf[account] * rebaseIndex / INDEX_PRECISION;
+    }
+
+    function mint(address to, uint256 amount) external {
+        uint256 shares = amount * INDEX_PRECISION / rebaseIndex;
+        totalShares += shares;
+        sharesOf[to] += shares;
+
+        emit Transfer(address(0), to, amount);
+    }
+
+    function setRebaseOnTransfer(uint256 bps) external {
+        rebaseOnTransferBps = bps;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        require(allowance[from][msg.sender] >= amount, "RebasingToken: insufficient allowance");
+        allowance[from][msg.sender] -= amount;
+
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        uint256 shares = amount * INDEX_PRECISION / rebaseIndex;
+        require(sharesOf[from] >= shares, "RebasingToken: insufficient balance");
+        sharesOf[from] -= shares;
+        sharesOf[to] += shares;
+
+        rebaseIndex += rebaseIndex * rebaseOnTransferBps / 10_000;
+
+        emit Transfer(from, to, amount);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "../TokenConversionManagerV3Upgradeable.sol";
+
+/**
+ * @dev Next version of the upgradeable converter for the upgrade tests:
+ * appends a variable initialized by the reinitializer of the version after the role-based access control.
+ */
+contract TokenConversionManagerV3UpgradeableMock is TokenConversionManagerV3Upgradeable {
+    uint256 private _version;
+
+    function initializeV3() external reinitializer(3) {
+        _version = 3;
+    }
+
+    function version() external view returns (uint256) {
+        return _version;
+    }
+}
@@ -2,6 +2,8 @@ require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-contract-sizer");
 require("@nomicfoundation/hardhat-verify");
 
+require("./tasks/converter");
+
 const fs = require('fs');
 
 require('dotenv').config({ path: '.env'});
@@ -9,11 +11,14 @@ const { INFURA, ETHSKAN } = process.env;
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.26", // Recommended use latest solc & solidity version
-  settings: {
-    optimizer: {
-      enabled: true,
-      runs: 200,
+  solidity: {
+    version: "0.8.26", // Recommended use latest solc & solidity version
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+      viaIR: true
     }
   }
   /*
@@ -0,0 +1,6 @@
+// Converter history indexer: JSON store of the converter events and the reconciliation report with the on-chain state
+module.exports = {
+    ...require("./store"),
+    ...require("./indexer"),
+    ...require("./report")
+};
@@ -0,0 +1,115 @@
+// Events of the converter history stored by the indexer
+const INDEXED_EVENTS = [
+    "ConversionOut",
+    "ConversionIn",
+    "ConversionRefunded",
+    "IncreaseLiquidity",
+    "DecreaseLiquidity",
+    "SpendLiquidity",
+    "RestoreLiquidity",
+    "WithdrawFees",
+    "RescueERC20",
+    "RegisterToken",
+    "RoleGranted",
+    "RoleRevoked",
+    "NewAuthorizer",
+    "AddAuthorizer",
+    "RemoveAuthorizer",
+    "RetireAuthorizer",
+    "UpdateAuthorizerGracePeriod",
+    "RevokeSignature",
+    "RevokeConversionId",
+    "NewComplianceOfficer",
+    "UpdateDenylist",
+    "UpdateAllowlist",
+    "UpdateAllowlistMode",
+    "FlagConversion",
+    "ConversionHeld",
+    "ConversionReleased",
+    "HeldConversionCancelled",
+    "UpdateConfiguration",
+    "UpdateDestinationChain"
+];
+
+// Stores the event arguments by name, the integers as the decimal strings
+function serializeArgs(event) {
+    return Object.fromEntries(event.fragment.inputs.map(({ name }, i) => {
+        const value = event.args[i];
+
+        return [name, typeof value === "bigint" ? value.toString() : value];
+    }));
+}
+
+/**
+ * Indexes the converter events of the block range into the store entry. The indexing continues from
+ * the next block of the entry, the events already stored are skipped, so it can be run repeatedly.
+ * @param converter - converter contract
+ * @param entry - converter entry of the store, see getConverterEntry
+ * @param options - { fromBlock, toBlock, batchSize }, fromBlock is used on the first run only
+ * @returns number of the new events
+ */
+async function indexConverter(converter, entry, { fromBlock = 0, toBlock, batchSize = 2000 } = {}) {
+    const provider = converter.runner.provider || converter.runner;
+    const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : Number(toBlock);
+    const knownEvents = new Set(entry.events.map(({ id }) => id));
+    let added = 0;
+
+    for (let start = entry.nextBlock ?? Number(fromBlock); start <= lastBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, lastBlock);
+        const logs = await provider.getLogs({ address: entry.address, fromBlock: start, toBlock: end });
+
+        for (const log of logs) {
+            const event = converter.interface.parseLog(log);
+            const id = `${log.transactionHash}:${log.index}`;
+
+            if (!event || !INDEXED_EVENTS.includes(event.name) || knownEvents.has(id)) continue;
+
+            entry.events.push({
+                id,
+                name: event.name,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+                args: serializeArgs(event)
+            });
+            knownEvents.add(id);
+            added++;
+        }
+
+        entry.nextBlock = end + 1;
+    }
+
+    return added;
+}
+
+/**
+ * Reads the on-chain state of the registered tokens to reconcile the indexed history with
+ * @param converter - converter contract
+ * @param blockTag - block of the state, the last indexed block
+ * @returns token address => { conversionMode, balance, liquidity, lockedFunds, collectedFees }
+ */
+async function fetchConverterState(converter, blockTag) {
+    const [tokens, configs] = await converter.getTokens({ blockTag });
+    const state = {};
+
+    for (let i = 0; i < tokens.length; i++) {
+        const [liquidity, lockedFunds, collectedFees] = await converter.getBalanceBreakdown(tokens[i], { blockTag });
+
+        state[tokens[i]] = {
+            conversionMode: Number(configs[i].conversionMode),
+            balance: await converter.getConverterBalance(tokens[i], { blockTag }),
+            liquidity,
+            lockedFunds,
+            collectedFees,
+            heldFunds: await converter.getHeldFunds(tokens[i], { blockTag })
+        };
+    }
+
+    return state;
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    indexConverter,
+    fetchConverterState
+};
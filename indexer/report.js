@@ -0,0 +1,304 @@
+const { getAddress } = require("ethers");
+
+const { converterKey } = require("./store");
+
+// Conversion modes of the converter
+const LOCK_UNLOCK = 0;
+const CONVERSION_MODE_NAMES = ["lock-unlock", "mint-burn"];
+
+function newTotals(conversionMode) {
+    return {
+        conversionMode,
+        totalLocked: 0n,
+        totalReleased: 0n,
+        totalRefunded: 0n,
+        liquidityAdded: 0n,
+        liquidityRemoved: 0n,
+        liquiditySpent: 0n,
+        feesCollected: 0n,
+        feesWithdrawn: 0n,
+        rescued: 0n,
+        expectedBalance: 0n,
+        expectedLockedFunds: 0n,
+        expectedHeldFunds: 0n
+    };
+}
+
+function subtractFloor(a, b) {
+    return a > b ? a - b : 0n;
+}
+
+/**
+ * Replays the indexed history of the converter the way the converter accounts the token balances
+ * @returns token address => totals of the history
+ */
+function replayHistory(entry, state) {
+    const totals = {};
+    const modes = Object.fromEntries(Object.entries(state).map(([token, { conversionMode }]) => [token, conversionMode]));
+    const held = new Map();
+
+    for (const { name, args } of entry.events) {
+        if (name === "RegisterToken") modes[getAddress(args.token)] = Number(args.conversionMode);
+
+        if (name === "ConversionReleased" || name === "HeldConversionCancelled") {
+            // the released or cancelled conversionIn is accounted by the token and the amount of its hold,
+            // the cancelled hold returns the locked funds it was drawn from
+            const hold = held.get(args.conversionId);
+            const t = hold && totals[getAddress(hold.token)];
+            if (t && t.conversionMode === LOCK_UNLOCK) {
+                t.expectedHeldFunds -= BigInt(hold.amount);
+                if (name === "HeldConversionCancelled") t.expectedLockedFunds += hold.lockedFunds;
+            }
+        }
+        if (!args.token) continue;
+
+        const token = getAddress(args.token);
+        const mode = modes[token] ?? LOCK_UNLOCK;
+        const t = totals[token] || (totals[token] = newTotals(mode));
+        const lockUnlock = mode === LOCK_UNLOCK;
+
+        switch (name) {
+            case "ConversionOut":
+                // lock/unlock keeps the whole amount, mint/burn burns the net amount and keeps the fee
+                t.totalLocked += BigInt(args.netAmount);
+                t.feesCollected += BigInt(args.fee);
+                t.expectedBalance += lockUnlock ? BigInt(args.amount) : BigInt(args.fee);
+                if (lockUnlock) t.expectedLockedFunds += BigInt(args.netAmount);
+                break;
+            case "ConversionIn":
+                // lock/unlock pays the net amount out of the balance, mint/burn mints it and the fee
+                t.totalReleased += BigInt(args.netAmount);
+                t.feesCollected += BigInt(args.fee);
+                t.expectedBalance += lockUnlock ? -(BigInt(args.amount) - BigInt(args.fee)) : BigInt(args.fee);
+                // the payout of the released conversionIn was drawn from the locked funds by its hold
+                if (lockUnlock && !held.has(args.conversionId))
+                    t.expectedLockedFunds = subtractFloor(t.expectedLockedFunds, BigInt(args.amount));
+                break;
+            case "ConversionHeld": {
+                // the lock/unlock funds are reserved until the release, the mint/burn tokens are minted on the release
+                const amount = BigInt(args.amount);
+                const lockedFunds = lockUnlock ? (t.expectedLockedFunds < amount ? t.expectedLockedFunds : amount) : 0n;
+                held.set(args.conversionId, { ...args, lockedFunds });
+                if (lockUnlock) {
+                    t.expectedHeldFunds += amount;
+                    t.expectedLockedFunds -= lockedFunds;
+                }
+                break;
+            }
+            case "ConversionRefunded":
+                t.totalRefunded += BigInt(args.amount);
+                if (lockUnlock) {
+                    t.expectedBalance -= BigInt(args.amount);
+                    t.expectedLockedFunds = subtractFloor(t.expectedLockedFunds, BigInt(args.amount));
+                }
+                break;
+            case "IncreaseLiquidity":
+                t.liquidityAdded += BigInt(args.added);
+                t.expectedBalance += BigInt(args.added);
+                break;
+            case "DecreaseLiquidity":
+                t.liquidityRemoved += BigInt(args.removed);
+                t.expectedBalance -= BigInt(args.removed);
+                break;
+            case "SpendLiquidity":
+                // the payouts over the locked funds drawn from the liquidity
+                t.liquiditySpent += BigInt(args.spent);
+                break;
+            case "RestoreLiquidity":
+                // the liquidity drawn by the cancelled hold
+                t.liquiditySpent -= BigInt(args.restored);
+                break;
+            case "WithdrawFees":
+                t.feesWithdrawn += BigInt(args.amount);
+                t.expectedBalance -= BigInt(args.amount);
+                break;
+            case "RescueERC20":
+                t.rescued += BigInt(args.amount);
+                t.expectedBalance -= BigInt(args.amount);
+                break;
+        }
+    }
+
+    return totals;
+}
+
+// Conversion ids by the event name, the refunded conversionOut ids are excluded from the outs
+function conversionIds(entry) {
+    const refunded = new Set(entry.events.filter(({ name }) => name === "ConversionRefunded").map(({ args }) => args.conversionId));
+    const byName = (name) => new Map(entry.events
+        .filter((event) => event.name === name && !(name === "ConversionOut" && refunded.has(event.args.conversionId)))
+        .map((event) => [event.args.conversionId, event]));
+
+    return { outs: byName("ConversionOut"), ins: byName("ConversionIn") };
+}
+
+function unmatchedConversions(entry, counterpart) {
+    const unmatched = [];
+    const sides = [[entry, counterpart], [counterpart, entry]];
+
+    for (const [side, other] of sides) {
+        const ids = conversionIds(side);
+        const otherIds = conversionIds(other);
+        const key = converterKey(side.chainId, side.address);
+        const otherKey = converterKey(other.chainId, other.address);
+
+        for (const [found, expected, missingEvent, foundEvent] of [
+            [ids.outs, otherIds.ins, "ConversionIn", "ConversionOut"],
+            [ids.ins, otherIds.outs, "ConversionOut", "ConversionIn"]
+        ]) {
+            for (const [conversionId, event] of found) {
+                if (expected.has(conversionId)) continue;
+
+                unmatched.push({
+                    conversionId,
+                    converter: key,
+                    event: foundEvent,
+                    missing: `${missingEvent} on ${otherKey}`,
+                    token: event.args.token,
+                    holder: event.args.tokenHolder,
+                    amount: event.args.amount,
+                    // the destination of the conversionOut to complete it on the other side
+                    destinationChainId: event.args.destinationChainId ?? null,
+                    recipient: event.args.recipient ?? null,
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash
+                });
+            }
+        }
+    }
+
+    return unmatched;
+}
+
+/**
+ * Builds the reconciliation report of the indexed converter history with the on-chain state
+ * @param entry - indexed converter, see indexConverter
+ * @param state - on-chain state at the last indexed block, see fetchConverterState
+ * @param counterpart - indexed converter of the other side of the bridge (optional),
+ * the conversion ids seen on one side but not the other are reported if set
+ * @returns { converter, toBlock, tokens, unmatched, discrepancies, authorizerChanges, roleChanges, revocations,
+ * complianceChanges, configurationChanges }, the amounts are the decimal strings
+ */
+function buildReconciliationReport(entry, state, counterpart) {
+    const totals = replayHistory(entry, state);
+    const tokens = [];
+    const discrepancies = [];
+
+    for (const token of new Set([...Object.keys(state), ...Object.keys(totals)])) {
+        const t = totals[token] || newTotals(state[token].conversionMode);
+        const onChain = state[token];
+        const row = {
+            token,
+            conversionMode: CONVERSION_MODE_NAMES[t.conversionMode],
+            totalLocked: t.totalLocked,
+            totalReleased: t.totalReleased,
+            totalRefunded: t.totalRefunded,
+            liquidityAdded: t.liquidityAdded,
+            liquidityRemoved: t.liquidityRemoved,
+            liquiditySpent: t.liquiditySpent,
+            netLiquidity: t.liquidityAdded - t.liquidityRemoved - t.liquiditySpent,
+            feesCollected: t.feesCollected,
+            feesWithdrawn: t.feesWithdrawn,
+            rescued: t.rescued,
+            expectedBalance: t.expectedBalance,
+            converterBalance: onChain ? onChain.balance : null,
+            discrepancy: onChain ? onChain.balance - t.expectedBalance : null
+        };
+        tokens.push(row);
+
+        if (!onChain) {
+            discrepancies.push({ type: "unregisteredToken", token, expected: null, actual: null, difference: null });
+            continue;
+        }
+
+        for (const [type, expected, actual] of [
+            ["balance", t.expectedBalance, onChain.balance],
+            ["liquidity", row.netLiquidity, onChain.liquidity],
+            ["lockedFunds", t.expectedLockedFunds, onChain.lockedFunds],
+            ["collectedFees", t.feesCollected - t.feesWithdrawn, onChain.collectedFees],
+            ["heldFunds", t.expectedHeldFunds, onChain.heldFunds]
+        ]) {
+            if (expected !== actual)
+                discrepancies.push({ type, token, expected, actual, difference: actual - expected });
+        }
+    }
+
+    const unmatched = counterpart ? unmatchedConversions(entry, counterpart) : null;
+    for (const conversion of unmatched || []) {
+        discrepancies.push({
+            type: "unmatchedConversion",
+            token: conversion.token,
+            conversionId: conversion.conversionId,
+            expected: conversion.missing,
+            actual: null,
+            difference: null
+        });
+    }
+
+    const history = (names) => entry.events
+        .filter(({ name }) => names.includes(name))
+        .map(({ name, blockNumber, transactionHash, args }) => ({ event: name, blockNumber, transactionHash, ...args }));
+
+    return toStrings({
+        converter: converterKey(entry.chainId, entry.address),
+        counterpart: counterpart ? converterKey(counterpart.chainId, counterpart.address) : null,
+        toBlock: entry.nextBlock - 1,
+        tokens,
+        unmatched,
+        discrepancies,
+        authorizerChanges: history([
+            "NewAuthorizer", "AddAuthorizer", "RemoveAuthorizer", "RetireAuthorizer", "UpdateAuthorizerGracePeriod"
+        ]),
+        roleChanges: history(["RoleGranted", "RoleRevoked"]),
+        revocations: history(["RevokeSignature", "RevokeConversionId"]),
+        complianceChanges: history([
+            "NewComplianceOfficer", "UpdateDenylist", "UpdateAllowlist", "UpdateAllowlistMode", "FlagConversion",
+            "ConversionHeld", "ConversionReleased", "HeldConversionCancelled"
+        ]),
+        configurationChanges: history(["UpdateConfiguration", "UpdateDestinationChain"])
+    });
+}
+
+function toStrings(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(toStrings);
+    if (value && typeof value === "object")
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStrings(item)]));
+
+    return value;
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvTable(rows, columns) {
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(csvValue).join(","))
+        .join("\n");
+}
+
+/**
+ * Formats the reconciliation report as CSV: the tokens, the unmatched conversions and the discrepancies tables
+ * separated by the empty lines
+ */
+function formatReportCsv(report) {
+    return [
+        csvTable(report.tokens, [
+            "token", "conversionMode", "totalLocked", "totalReleased", "totalRefunded", "liquidityAdded", "liquidityRemoved",
+            "liquiditySpent", "netLiquidity", "feesCollected", "feesWithdrawn", "rescued", "expectedBalance", "converterBalance", "discrepancy"
+        ]),
+        csvTable(report.unmatched || [], [
+            "conversionId", "converter", "event", "missing", "token", "holder", "amount", "destinationChainId", "recipient",
+            "blockNumber", "transactionHash"
+        ]),
+        csvTable(report.discrepancies, ["type", "token", "conversionId", "expected", "actual", "difference"])
+    ].join("\n\n") + "\n";
+}
+
+module.exports = {
+    buildReconciliationReport,
+    formatReportCsv
+};
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+
+/**
+ * Loads the JSON store of the indexed converters, empty store if the file does not exist
+ * @param file - JSON store file
+ * @returns { converters } keyed by `<chainId>:<address>`
+ */
+function loadStore(file) {
+    if (!fs.existsSync(file))
+        return { converters: {} };
+
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Saves the store, the file is replaced atomically so a crash never leaves it half written
+ * @param file - JSON store file
+ * @param store - { converters }
+ */
+function saveStore(file, store) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 4) + "\n");
+    fs.renameSync(tmpFile, file);
+}
+
+function converterKey(chainId, address) {
+    return `${chainId}:${getAddress(address)}`;
+}
+
+/**
+ * Returns the indexed converter of the store, creates the empty entry if it is not indexed yet
+ * @param store - { converters }
+ * @param chainId - chain id of the converter network
+ * @param address - converter address
+ * @returns { chainId, address, nextBlock, events }
+ */
+function getConverterEntry(store, chainId, address) {
+    const key = converterKey(chainId, address);
+
+    if (!store.converters[key]) {
+        store.converters[key] = {
+            chainId: Number(chainId),
+            address: getAddress(address),
+            nextBlock: null,
+            events: []
+        };
+    }
+
+    return store.converters[key];
+}
+
+module.exports = {
+    loadStore,
+    saveStore,
+    converterKey,
+    getConverterEntry
+};
@@ -0,0 +1,83 @@
+// Local relayer of the conversions between two converters, see README "Local relayer"
+//   node relayer/index.js --config relayer/config.example.json [--dry-run] [--once] [--retry all|<id>,<id>]
+const fs = require("fs");
+const path = require("path");
+const { Contract, JsonRpcProvider, NonceManager, Wallet } = require("ethers");
+
+require("dotenv").config({ path: ".env" });
+
+const { CONVERTER_ABI } = require("../sdk");
+const { createRelayer } = require("./relayer");
+
+function parseArgs(argv) {
+    const args = { dryRun: false, once: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--config") args.config = argv[++i];
+        else if (argv[i] === "--dry-run") args.dryRun = true;
+        else if (argv[i] === "--once") args.once = true;
+        else if (argv[i] === "--retry") args.retry = argv[++i];
+        else throw new Error(`Unknown argument ${argv[i]}`);
+    }
+    if (!args.config)
+        throw new Error("Usage: node relayer/index.js --config <file> [--dry-run] [--once] [--retry all|<id>,<id>]");
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const configFile = path.resolve(args.config);
+    const config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+
+    // the keys may be kept out of the config file
+    const relayerKey = process.env.RELAYER_PRIVATE_KEY || config.relayerKey;
+    const authorizerKeys = process.env.AUTHORIZER_PRIVATE_KEYS
+        ? process.env.AUTHORIZER_PRIVATE_KEYS.split(",")
+        : config.authorizerKeys;
+
+    const sourceProvider = new JsonRpcProvider(config.source.rpc);
+    const destinationProvider = config.destination.rpc === config.source.rpc
+        ? sourceProvider
+        : new JsonRpcProvider(config.destination.rpc);
+    const relayerSigner = new NonceManager(new Wallet(relayerKey, destinationProvider));
+
+    const relayer = createRelayer({
+        sourceConverter: new Contract(config.source.converter, CONVERTER_ABI, sourceProvider),
+        destinationConverter: new Contract(config.destination.converter, CONVERTER_ABI, relayerSigner),
+        authorizers: authorizerKeys.map((key) => new Wallet(key)),
+        tokens: config.tokens,
+        confirmations: config.confirmations,
+        startBlock: config.startBlock,
+        deadline: config.deadline,
+        maxAttempts: config.maxAttempts,
+        retryDelay: config.retryDelay,
+        maxRetryDelay: config.maxRetryDelay,
+        progressFile: path.resolve(path.dirname(configFile), config.progressFile || "relayer-progress.json"),
+        dryRun: args.dryRun
+    });
+
+    if (args.retry) {
+        const retried = await relayer.retry(args.retry === "all" ? undefined : args.retry.split(","));
+        console.log(`Retrying ${retried.length} failed conversions`);
+    }
+
+    if (args.once) {
+        await relayer.poll();
+    } else {
+        process.on("SIGINT", relayer.stop);
+        process.on("SIGTERM", relayer.stop);
+
+        await relayer.run(config.pollInterval);
+    }
+
+    sourceProvider.destroy();
+    if (destinationProvider !== sourceProvider) destinationProvider.destroy();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Loads the relayer progress, empty progress starting from the block if the file does not exist
+ * @param file - JSON progress file
+ * @param startBlock - first source block to scan on the first run
+ * @returns { nextBlock, conversions } where conversions are keyed by the conversion id
+ */
+function loadProgress(file, startBlock = 0) {
+    if (!file || !fs.existsSync(file))
+        return { nextBlock: startBlock, conversions: {} };
+
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Saves the relayer progress, the file is replaced atomically so a crash never leaves it half written
+ * @param file - JSON progress file
+ * @param progress - { nextBlock, conversions }
+ */
+function saveProgress(file, progress) {
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(progress, null, 4) + "\n");
+    fs.renameSync(tmpFile, file);
+}
+
+module.exports = {
+    loadProgress,
+    saveProgress
+};
@@ -0,0 +1,344 @@
+const { dataLength, getAddress } = require("ethers");
+
+const {
+    getConverterDomain,
+    multiSignConversion,
+    signConversionIn,
+    submitConversionIn,
+    ConverterError,
+    errors
+} = require("../sdk");
+const { loadProgress, saveProgress } = require("./progressStore");
+
+// The relayer signs with the authorizer keys, so it refuses to run against anything but a local chain
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+// Final statuses of the relayed conversions, the conversions with these statuses are never relayed again
+const FINAL_STATUSES = ["submitted", "processed", "skipped", "failed"];
+
+// Statuses of the converter conversion registry, see ConversionStatus of the converter
+const CONVERSION_STATUSES = ["None", "Out", "In", "Cancelled", "Revoked", "Held", "Migrated"];
+
+// Statuses of the source conversionOut which is not relayed: refunded to the holder or revoked
+const WITHDRAWN_STATUSES = ["Cancelled", "Revoked"];
+
+// Converter reverts which may pass later: the paused conversions, the exhausted caps or balance and the expired claim
+const TRANSIENT_REVERTS = [
+    "ConversionPaused",
+    "EpochLimitExceeded",
+    "HolderEpochLimitExceeded",
+    "InsufficientConverterBalance",
+    "ExpiredRequest"
+];
+
+// The network, nonce and other submission errors and the transient reverts are retried, the other reverts are terminal
+function isRetryable(error) {
+    return !(error instanceof ConverterError) || TRANSIENT_REVERTS.includes(error.reason);
+}
+
+function getProvider(contract) {
+    return contract.runner.provider || contract.runner;
+}
+
+async function getLocalChainId(provider) {
+    const { chainId } = await provider.getNetwork();
+
+    if (!LOCAL_CHAIN_IDS.includes(chainId))
+        throw new Error(`Relayer runs against the local chains only, chain id ${chainId} is not local`);
+
+    return chainId;
+}
+
+/**
+ * Creates the relayer of the conversions from the source converter to the destination converter.
+ * Each ConversionOut event of the source to the destination chain, confirmed by `confirmations` blocks on top of it,
+ * is signed by the authorizers as the conversionIn claim of the net amount to its recipient and submitted
+ * to the destination.
+ * The progress (next source block and relayed conversion ids) is persisted after each conversion,
+ * so the restarted relayer continues where it stopped and never submits the same conversion twice.
+ * The submission failed by a retryable error is retried from its block after the exponential backoff and given up
+ * after `maxAttempts`, the terminal converter reverts are given up at once. The restarted relayer retries
+ * the conversions given up after the retryable errors, `retry` retries any failed conversion.
+ * @param options.sourceConverter - source converter contract
+ * @param options.destinationConverter - destination converter contract connected to the relayer signer
+ * @param options.authorizers - ethers signers of the destination conversion authorizers
+ * @param options.tokens - source token address => destination token address
+ * @param options.confirmations - blocks mined on top of the ConversionOut block before relaying it
+ * @param options.startBlock - first source block to scan on the first run
+ * @param options.batchSize - max source blocks scanned by one poll
+ * @param options.deadline - conversionIn signature lifetime in seconds
+ * @param options.maxAttempts - submissions of the conversion failed by the retryable errors before it is given up
+ * @param options.retryDelay - delay before the first retry in milliseconds, doubled by each next attempt
+ * @param options.maxRetryDelay - max delay between the retries in milliseconds
+ * @param options.progressFile - JSON progress file, the progress is kept in memory only if not set
+ * @param options.dryRun - sign and log the claims without submitting them and saving the progress
+ * @param options.logger - console like logger
+ * @returns { poll, run, stop, retry, getProgress }
+ */
+function createRelayer({
+    sourceConverter,
+    destinationConverter,
+    authorizers,
+    tokens = {},
+    confirmations = 1,
+    startBlock = 0,
+    batchSize = 1000,
+    deadline = 3600,
+    maxAttempts = 3,
+    retryDelay = 5000,
+    maxRetryDelay = 300000,
+    progressFile,
+    dryRun = false,
+    logger = console
+}) {
+    const tokensMap = Object.fromEntries(Object.entries(tokens).map(([from, to]) => [getAddress(from), to]));
+    let progress, domain, destinationChainId, relayerAddress;
+    let running = false;
+
+    function save() {
+        if (!dryRun) saveProgress(progressFile, progress);
+    }
+
+    async function init() {
+        if (progress) return;
+
+        await getLocalChainId(getProvider(sourceConverter));
+        destinationChainId = await getLocalChainId(getProvider(destinationConverter));
+        domain = await getConverterDomain(destinationConverter, destinationChainId);
+        relayerAddress = await destinationConverter.runner.getAddress();
+        progress = loadProgress(progressFile, startBlock);
+
+        // the attempts start over on the restart, also of the conversions given up after the retryable errors
+        resetAttempts(({ status, retryable }) => status === "pending" || (status === "failed" && retryable));
+    }
+
+    // Resets the attempts of the matching conversions, relayed again from their source blocks
+    function resetAttempts(filter) {
+        const reset = [];
+
+        for (const [conversionId, record] of Object.entries(progress.conversions)) {
+            if (!filter(record, conversionId)) continue;
+
+            record.status = "pending";
+            record.attempts = 0;
+            delete record.retryAt;
+            progress.nextBlock = Math.min(progress.nextBlock, record.sourceBlock);
+            reset.push(conversionId);
+        }
+
+        return reset;
+    }
+
+    async function getDeadline() {
+        const block = await getProvider(destinationConverter).getBlock("latest");
+
+        return BigInt(block.timestamp) + BigInt(deadline);
+    }
+
+    // Relays the conversion of the event, returns false if the submission should be retried
+    async function relayConversion(event) {
+        const { token, tokenHolder, conversionId, netAmount, recipient } = event.args;
+        const known = progress.conversions[conversionId];
+
+        if (known && FINAL_STATUSES.includes(known.status)) return true;
+        // waits for the backoff of the failed submission
+        if (known && known.retryAt > Date.now()) return false;
+
+        const record = {
+            ...known,
+            sourceTransaction: event.transactionHash,
+            sourceBlock: event.blockNumber,
+            token,
+            holder: tokenHolder,
+            recipient,
+            amount: netAmount.toString()
+        };
+        progress.conversions[conversionId] = record;
+
+        const destinationToken = tokensMap[getAddress(token)];
+        if (!destinationToken) {
+            record.status = "skipped";
+            record.error = "Token is not mapped to the destination token";
+            logger.warn(`Skipped ${conversionId}: token ${token} is not mapped`);
+
+            return true;
+        }
+
+        // the conversions to the other chains and the non-EVM recipients are relayed by their own relayers
+        const skipped = event.args.destinationChainId !== destinationChainId
+            ? `Destination chain ${event.args.destinationChainId} is not the chain of the destination converter`
+            : dataLength(recipient) !== 20 ? "Recipient is not an EVM address" : null;
+        if (skipped) {
+            record.status = "skipped";
+            record.error = skipped;
+            logger.warn(`Skipped ${conversionId}: ${skipped}`);
+
+            return true;
+        }
+
+        // the refunded or revoked conversionOut must not be claimed on the destination
+        const sourceStatus = CONVERSION_STATUSES[Number((await sourceConverter.getConversion(conversionId)).status)];
+        if (WITHDRAWN_STATUSES.includes(sourceStatus)) {
+            record.status = "skipped";
+            record.error = `Source conversion is ${sourceStatus}`;
+            logger.warn(`Skipped ${conversionId}: source conversion is ${sourceStatus}`);
+
+            return true;
+        }
+
+        if (await destinationConverter.isConversionProcessed(conversionId)) {
+            record.status = "processed";
+            logger.log(`Skipped ${conversionId}: already processed by the destination converter`);
+
+            return true;
+        }
+
+        const request = {
+            token: destinationToken,
+            to: getAddress(recipient),
+            amount: netAmount,
+            conversionId,
+            caller: relayerAddress,
+            deadline: await getDeadline()
+        };
+        const signatures = await multiSignConversion(authorizers, signConversionIn, domain, request);
+
+        if (dryRun) {
+            record.status = "dry-run";
+            logger.log(`Dry run ${conversionId}: conversionIn of ${netAmount} ${destinationToken} to ${request.to}`);
+
+            return true;
+        }
+
+        try {
+            const tx = await submitConversionIn(destinationConverter, request, signatures);
+            await tx.wait();
+
+            record.status = "submitted";
+            record.destinationTransaction = tx.hash;
+            logger.log(`Relayed ${conversionId}: ${tx.hash}`);
+
+            return true;
+        } catch (error) {
+            // submitted by another relayer in the meantime
+            if (error instanceof errors.UsedConversionId) {
+                record.status = "processed";
+
+                return true;
+            }
+
+            record.attempts = (record.attempts || 0) + 1;
+            record.error = error.message;
+            record.retryable = isRetryable(error);
+
+            if (!record.retryable || record.attempts >= maxAttempts) {
+                record.status = "failed";
+                delete record.retryAt;
+                logger.error(`Failed ${conversionId} (attempt ${record.attempts}), given up: ${error.message}`);
+
+                return true;
+            }
+
+            const delay = Math.min(retryDelay * 2 ** (record.attempts - 1), maxRetryDelay);
+            record.status = "pending";
+            record.retryAt = Date.now() + delay;
+            logger.error(`Failed ${conversionId} (attempt ${record.attempts}), retried in ${delay} ms: ${error.message}`);
+
+            return false;
+        }
+    }
+
+    /**
+     * Relays the confirmed conversions of the next source blocks
+     * @returns conversion records relayed by the poll
+     */
+    async function poll() {
+        await init();
+
+        const head = await getProvider(sourceConverter).getBlockNumber();
+        const toBlock = Math.min(head - confirmations, progress.nextBlock + batchSize - 1);
+        if (toBlock < progress.nextBlock) return [];
+
+        const events = await sourceConverter.queryFilter(
+            sourceConverter.filters.ConversionOut(),
+            progress.nextBlock,
+            toBlock
+        );
+
+        const relayed = [];
+        for (const event of events) {
+            const done = await relayConversion(event);
+            relayed.push({ conversionId: event.args.conversionId, ...progress.conversions[event.args.conversionId] });
+
+            // the failed block is scanned again by the next poll, the relayed conversions of it are skipped
+            if (!done) {
+                progress.nextBlock = event.blockNumber;
+                save();
+
+                return relayed;
+            }
+            save();
+        }
+
+        progress.nextBlock = toBlock + 1;
+        save();
+
+        return relayed;
+    }
+
+    /**
+     * Polls the source converter until stopped
+     * @param interval - delay between the polls in milliseconds
+     */
+    async function run(interval = 5000) {
+        await init();
+        running = true;
+
+        while (running) {
+            try {
+                await poll();
+            } catch (error) {
+                logger.error(`Poll failed: ${error.message}`);
+            }
+
+            if (running) await new Promise((resolve) => setTimeout(resolve, interval));
+        }
+    }
+
+    function stop() {
+        running = false;
+    }
+
+    /**
+     * Retries the failed conversions by the next poll, also the ones given up after the terminal reverts
+     * @param conversionIds - conversion ids to retry, all the failed conversions if not set
+     * @returns retried conversion ids
+     */
+    async function retry(conversionIds) {
+        await init();
+
+        const retried = resetAttempts(
+            ({ status }, conversionId) => status === "failed" && (!conversionIds || conversionIds.includes(conversionId))
+        );
+        save();
+
+        return retried;
+    }
+
+    function getProgress() {
+        return progress;
+    }
+
+    return {
+        poll,
+        run,
+        stop,
+        retry,
+        getProgress
+    };
+}
+
+module.exports = {
+    LOCAL_CHAIN_IDS,
+    createRelayer
+};
@@ -4,14 +4,22 @@ async function main() {
 
 
   const tokenAddress = "0x0";
+  const conversionMode = 0; // 0 - lock/unlock, 1 - mint/burn (converter needs the token minter role)
+  const minDelay = BigInt(process.env.MIN_DELAY || 0); // delay of the timelocked changes in seconds, none by default
 
   const TokenConversionManager = await ethers.getContractFactory("TokenConversionManagerV3");
 
   const tokenConversionManager = await TokenConversionManager.deploy(
-      tokenAddress
+      tokenAddress,
+      conversionMode
   );
 
   console.log("Contract deployed");
+
+  // configure the authorizers, limits and liquidity before enabling the timelock,
+  // with MIN_DELAY unset the delay is left to converter:configure once the converter is set up
+  if (minDelay > 0n)
+    await tokenConversionManager.updateMinDelay(minDelay);
 }
 
 main()
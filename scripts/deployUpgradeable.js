@@ -0,0 +1,42 @@
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  console.log("Deploying contracts with the account:", deployer.address);
+
+
+  const tokenAddress = "0x0";
+  const conversionMode = 0; // 0 - lock/unlock, 1 - mint/burn (converter needs the token minter role)
+  const admin = deployer.address; // default admin granted all the roles and first conversion authorizer of the converter
+  const minDelay = BigInt(process.env.MIN_DELAY || 0); // delay of the timelocked changes and upgrades in seconds, none by default
+
+  const Implementation = await ethers.getContractFactory("TokenConversionManagerV3Upgradeable");
+  const implementation = await Implementation.deploy();
+
+  const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+  const proxyAdmin = await ProxyAdmin.deploy();
+
+  const Proxy = await ethers.getContractFactory("TokenConversionManagerV3Proxy");
+  const proxy = await Proxy.deploy(
+      await implementation.getAddress(),
+      await proxyAdmin.getAddress(),
+      Implementation.interface.encodeFunctionData("initialize", [tokenAddress, conversionMode, admin])
+  );
+
+  // the upgrades are authorized by the converter itself
+  await proxyAdmin.transferOwnership(await proxy.getAddress());
+
+  console.log("Converter proxy deployed:", await proxy.getAddress());
+
+  const tokenConversionManager = Implementation.attach(await proxy.getAddress());
+
+  // configure the authorizers, limits and liquidity before enabling the timelock,
+  // with MIN_DELAY unset the delay is left to converter:configure once the converter is set up
+  if (minDelay > 0n)
+    await tokenConversionManager.updateMinDelay(minDelay);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+      console.error(error);
+      process.exit(1);
+  });
@@ -0,0 +1,64 @@
+const { AbiCoder, keccak256, concat } = require("ethers");
+
+/**
+ * Hashes a conversionIn batch leaf as the converter does:
+ * keccak256(keccak256(abi.encode(to, amount, conversionId)))
+ * @param leaf - { to, amount, conversionId }
+ */
+function hashConversionInLeaf({ to, amount, conversionId }) {
+    const encoded = AbiCoder.defaultAbiCoder().encode(
+        ["address", "uint256", "bytes32"],
+        [to, amount, conversionId]
+    );
+
+    return keccak256(keccak256(encoded));
+}
+
+// Hashes the sorted pair of nodes as the OpenZeppelin MerkleProof expects
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Builds the Merkle tree of a conversionIn batch
+ * @param leaves - [{ to, amount, conversionId }]
+ * @returns { root, leaves } where each leaf is extended with its Merkle proof
+ * as the converter batchConversionInWithRoot expects
+ */
+function buildConversionInTree(leaves) {
+    if (leaves.length === 0)
+        throw new Error("Empty conversionIn batch");
+
+    const levels = [leaves.map(hashConversionInLeaf)];
+
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+
+        for (let i = 0; i < level.length; i += 2) {
+            // the odd node is promoted to the next level as is
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+
+        levels.push(next);
+    }
+
+    const withProofs = leaves.map((leaf, index) => {
+        const proof = [];
+
+        for (let level = 0, i = index; level < levels.length - 1; level++, i = Math.floor(i / 2)) {
+            const sibling = i % 2 === 0 ? i + 1 : i - 1;
+            if (sibling < levels[level].length)
+                proof.push(levels[level][sibling]);
+        }
+
+        return { ...leaf, proof };
+    });
+
+    return { root: levels[levels.length - 1][0], leaves: withProofs };
+}
+
+module.exports = {
+    hashConversionInLeaf,
+    buildConversionInTree
+};
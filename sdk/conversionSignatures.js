@@ -0,0 +1,294 @@
+const {
+    Signature,
+    TypedDataEncoder,
+    ZeroAddress,
+    encodeBytes32String,
+    getAddress,
+    hexlify,
+    isHexString,
+    toBeHex,
+    toUtf8Bytes,
+    verifyTypedData,
+    zeroPadValue
+} = require("ethers");
+
+// EIP-712 domain of the TokenConversionManagerV3 contract
+const DOMAIN_NAME = "TokenConversionManagerV3";
+const DOMAIN_VERSION = "1";
+
+// Typed data structures signed by the conversion authorizer
+const CONVERSION_OUT_TYPES = {
+    ConversionOut: [
+        { name: "token", type: "address" },
+        { name: "holder", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "conversionId", type: "bytes32" },
+        { name: "destinationChainId", type: "uint256" },
+        { name: "recipient", type: "bytes" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const CONVERSION_IN_TYPES = {
+    ConversionIn: [
+        { name: "token", type: "address" },
+        { name: "to", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "conversionId", type: "bytes32" },
+        { name: "caller", type: "address" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const CONVERSION_IN_BATCH_TYPES = {
+    ConversionInBatch: [
+        { name: "token", type: "address" },
+        { name: "root", type: "bytes32" },
+        { name: "caller", type: "address" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const CONVERSION_REFUND_TYPES = {
+    ConversionRefund: [
+        { name: "conversionId", type: "bytes32" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Typed data structures by the primary type name
+const CONVERSION_TYPES = {
+    ...CONVERSION_OUT_TYPES,
+    ...CONVERSION_IN_TYPES,
+    ...CONVERSION_IN_BATCH_TYPES,
+    ...CONVERSION_REFUND_TYPES
+};
+
+/**
+ * Encodes the conversion id as the bytes32 value the converter expects
+ * @param conversionId - bytes32 hex string (kept as is), number or bigint (left padded),
+ * or text of up to 31 bytes (encoded as the bytes32 string)
+ */
+function encodeConversionId(conversionId) {
+    if (typeof conversionId === "bigint" || typeof conversionId === "number")
+        return zeroPadValue(toBeHex(conversionId), 32);
+    if (isHexString(conversionId, 32))
+        return conversionId;
+
+    return encodeBytes32String(conversionId);
+}
+
+/**
+ * Encodes the recipient on the destination chain as the bytes value the converter expects
+ * @param recipient - hex string of the bytes (kept as is, e.g. the EVM address), bytes array,
+ * or text (encoded as the UTF-8 bytes, e.g. the bech32 address)
+ * @throws if the 0x prefixed recipient is not the hex string of whole bytes
+ */
+function encodeRecipient(recipient) {
+    if (recipient instanceof Uint8Array)
+        return hexlify(recipient);
+    if (recipient.startsWith("0x")) {
+        if (!isHexString(recipient, true))
+            throw new Error(`Invalid recipient "${recipient}": 0x prefixed recipient must be the hex string of whole bytes`);
+
+        return recipient;
+    }
+
+    return hexlify(toUtf8Bytes(recipient));
+}
+
+/**
+ * Builds the EIP-712 domain of a deployed converter
+ * @param converter - converter contract instance or address
+ * @param chainId - chain id of the network the converter is deployed on
+ */
+async function getConverterDomain(converter, chainId) {
+    const verifyingContract = typeof converter === "string" ? converter : await converter.getAddress();
+
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: BigInt(chainId),
+        verifyingContract
+    };
+}
+
+async function signTypedConversion(authorizer, domain, types, message) {
+    const signature = await authorizer.signTypedData(domain, types, message);
+    const { v, r, s } = Signature.from(signature);
+
+    return { signature, v, r, s };
+}
+
+/**
+ * Signs a conversionOut request by the conversion authorizer
+ * @param authorizer - ethers signer of the conversion authorizer
+ * @param domain - converter domain, see getConverterDomain
+ * @param request - { token, holder, amount, conversionId, destinationChainId, recipient, deadline },
+ * see encodeRecipient for the recipient
+ * @returns { signature, v, r, s }
+ */
+async function signConversionOut(
+    authorizer,
+    domain,
+    { token, holder, amount, conversionId, destinationChainId, recipient, deadline }
+) {
+    return signTypedConversion(authorizer, domain, CONVERSION_OUT_TYPES, {
+        token,
+        holder,
+        amount,
+        conversionId,
+        destinationChainId,
+        recipient: encodeRecipient(recipient),
+        deadline
+    });
+}
+
+/**
+ * Signs a conversionIn request by the conversion authorizer
+ * @param authorizer - ethers signer of the conversion authorizer
+ * @param domain - converter domain, see getConverterDomain
+ * @param request - { token, to, amount, conversionId, caller, deadline },
+ * omit the caller to let any relayer submit the claim for the recipient
+ * @returns { signature, v, r, s }
+ */
+async function signConversionIn(authorizer, domain, { token, to, amount, conversionId, caller = ZeroAddress, deadline }) {
+    return signTypedConversion(authorizer, domain, CONVERSION_IN_TYPES, {
+        token,
+        to,
+        amount,
+        conversionId,
+        caller,
+        deadline
+    });
+}
+
+/**
+ * Signs the Merkle root of a conversionIn batch by the conversion authorizer
+ * @param authorizer - ethers signer of the conversion authorizer
+ * @param domain - converter domain, see getConverterDomain
+ * @param request - { token, root, caller, deadline }, see buildConversionInTree for the root,
+ * omit the caller to let any relayer submit the batch
+ * @returns { signature, v, r, s }
+ */
+async function signConversionInBatch(authorizer, domain, { token, root, caller = ZeroAddress, deadline }) {
+    return signTypedConversion(authorizer, domain, CONVERSION_IN_BATCH_TYPES, {
+        token,
+        root,
+        caller,
+        deadline
+    });
+}
+
+/**
+ * Signs a refund of the uncompleted conversionOut by the conversion authorizer
+ * @param authorizer - ethers signer of the conversion authorizer
+ * @param domain - converter domain, see getConverterDomain
+ * @param request - { conversionId, deadline }
+ * @returns { signature, v, r, s }
+ */
+async function signConversionRefund(authorizer, domain, { conversionId, deadline }) {
+    return signTypedConversion(authorizer, domain, CONVERSION_REFUND_TYPES, {
+        conversionId,
+        deadline
+    });
+}
+
+/**
+ * Recovers the authorizer of the signed conversion request
+ * @param domain - converter domain, see getConverterDomain
+ * @param primaryType - ConversionOut, ConversionIn, ConversionInBatch or ConversionRefund
+ * @param request - signed request, the omitted caller is the zero address as for signing
+ * @param signature - authorizer signature
+ * @returns signer address
+ */
+function recoverConversionSigner(domain, primaryType, request, signature) {
+    const [types, message] = conversionTypedData(primaryType, request);
+
+    return verifyTypedData(domain, types, message, signature);
+}
+
+/**
+ * Computes the EIP-712 digest of the conversion request, the message revoked by the converter revokeSignature
+ * @param domain - converter domain, see getConverterDomain
+ * @param primaryType - ConversionOut, ConversionIn, ConversionInBatch or ConversionRefund
+ * @param request - signed request, the omitted caller is the zero address as for signing
+ * @returns digest of the request
+ */
+function hashConversionRequest(domain, primaryType, request) {
+    const [types, message] = conversionTypedData(primaryType, request);
+
+    return TypedDataEncoder.hash(domain, types, message);
+}
+
+function conversionTypedData(primaryType, request) {
+    const fields = CONVERSION_TYPES[primaryType];
+    if (!fields)
+        throw new Error(`Unknown conversion type "${primaryType}"`);
+
+    const message = fields.some(({ name }) => name === "caller") ? { caller: ZeroAddress, ...request } : { ...request };
+    if (message.recipient !== undefined)
+        message.recipient = encodeRecipient(message.recipient);
+
+    return [{ [primaryType]: fields }, message];
+}
+
+/**
+ * Checks the conversion request is signed by one of the authorizers before submitting it to the converter
+ * @param domain - converter domain, see getConverterDomain
+ * @param primaryType - ConversionOut, ConversionIn, ConversionInBatch or ConversionRefund
+ * @param request - signed request
+ * @param signature - authorizer signature
+ * @param authorizers - authorizer address or addresses, e.g. from getConversionAuthorizers
+ */
+function verifyConversionSignature(domain, primaryType, request, signature, authorizers) {
+    let signer;
+    try {
+        signer = recoverConversionSigner(domain, primaryType, request, signature);
+    } catch (error) {
+        if (error.message.startsWith("Unknown conversion type")) throw error;
+        return false;
+    }
+
+    return [].concat(authorizers).some((authorizer) => getAddress(authorizer) === signer);
+}
+
+/**
+ * Signs a request by several authorizers for the M-of-N verification
+ * @param authorizers - ethers signers of the conversion authorizers
+ * @param sign - signing function, e.g. signConversionOut or signConversionIn
+ * @param domain - converter domain, see getConverterDomain
+ * @param request - request of the signing function
+ * @returns signatures sorted by the signer address in ascending order as the converter expects
+ */
+async function multiSignConversion(authorizers, sign, domain, request) {
+    const signed = await Promise.all(authorizers.map(async (authorizer) => ({
+        signer: BigInt(await authorizer.getAddress()),
+        signature: (await sign(authorizer, domain, request)).signature
+    })));
+
+    return signed
+        .sort((a, b) => (a.signer < b.signer ? -1 : a.signer > b.signer ? 1 : 0))
+        .map(({ signature }) => signature);
+}
+
+module.exports = {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    CONVERSION_OUT_TYPES,
+    CONVERSION_IN_TYPES,
+    CONVERSION_IN_BATCH_TYPES,
+    CONVERSION_REFUND_TYPES,
+    CONVERSION_TYPES,
+    encodeConversionId,
+    encodeRecipient,
+    getConverterDomain,
+    signConversionOut,
+    signConversionIn,
+    signConversionInBatch,
+    signConversionRefund,
+    multiSignConversion,
+    recoverConversionSigner,
+    hashConversionRequest,
+    verifyConversionSignature
+};
@@ -0,0 +1,80 @@
+const { Contract } = require("ethers");
+
+const { encodeConversionId, encodeRecipient } = require("./conversionSignatures");
+const { parseConverterError } = require("./errors");
+
+// ABI of the TokenConversionManagerV3 converter, exported from the compiled contract by `npx hardhat sdk:abi`
+const CONVERTER_ABI = require("./abi/TokenConversionManagerV3.json");
+
+const ERC20_APPROVE_ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
+
+// Accepts the signature strings or the results of the signing functions
+function normalizeSignatures(signatures) {
+    return [].concat(signatures).map((signature) => (typeof signature === "string" ? signature : signature.signature));
+}
+
+async function sendConverterTransaction(send) {
+    try {
+        return await send();
+    } catch (error) {
+        throw parseConverterError(error);
+    }
+}
+
+/**
+ * Submits the signed conversionOut of the tokens holder
+ * @param converter - converter contract connected to the tokens holder
+ * @param request - { token, amount, conversionId, destinationChainId, recipient, deadline } signed by the authorizers
+ * @param signatures - authorizer signature or signatures sorted by the signer address, see multiSignConversion
+ * @param options - { approve } to approve the amount to the converter first
+ * @returns transaction response
+ * @throws typed error of the converter custom error, see errors
+ */
+async function submitConversionOut(
+    converter,
+    { token, amount, conversionId, destinationChainId, recipient, deadline },
+    signatures,
+    { approve = false } = {}
+) {
+    return sendConverterTransaction(async () => {
+        if (approve) {
+            const tokenContract = new Contract(token, ERC20_APPROVE_ABI, converter.runner);
+            await (await tokenContract.approve(await converter.getAddress(), amount)).wait();
+        }
+
+        return converter.conversionOut(
+            token,
+            amount,
+            encodeConversionId(conversionId),
+            destinationChainId,
+            encodeRecipient(recipient),
+            deadline,
+            normalizeSignatures(signatures)
+        );
+    });
+}
+
+/**
+ * Submits the signed conversionIn claim of the recipient
+ * @param converter - converter contract connected to the recipient or the relayer allowed by the claim
+ * @param request - { token, to, amount, conversionId, deadline } signed by the authorizers
+ * @param signatures - authorizer signature or signatures sorted by the signer address, see multiSignConversion
+ * @returns transaction response
+ * @throws typed error of the converter custom error, see errors
+ */
+async function submitConversionIn(converter, { token, to, amount, conversionId, deadline }, signatures) {
+    return sendConverterTransaction(() => converter.conversionIn(
+        token,
+        to,
+        amount,
+        encodeConversionId(conversionId),
+        deadline,
+        normalizeSignatures(signatures)
+    ));
+}
+
+module.exports = {
+    CONVERTER_ABI,
+    submitConversionOut,
+    submitConversionIn
+};
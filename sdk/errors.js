@@ -0,0 +1,124 @@
+const { Interface, isHexString } = require("ethers");
+
+// Custom errors of the converter contracts, including the OpenZeppelin ShortStrings errors of the EIP-712 domain
+const CONVERTER_ERRORS = [
+    "ViolationOfTxAmountLimits",
+    "InvalidRequestOrSignature",
+    "UsedSignature",
+    "InvalidUpdateConfigurations",
+    "InsufficientConverterBalance",
+    "InsufficientLiquidityBalance",
+    "WithdrawExceedsDeposit",
+    "ZeroAddress",
+    "ExpiredRequest",
+    "RecipientMismatch",
+    "UsedConversionId",
+    "ConversionPaused",
+    "EpochLimitExceeded",
+    "HolderEpochLimitExceeded",
+    "InvalidThreshold",
+    "AuthorizerAlreadyExists",
+    "AuthorizerNotFound",
+    "InsufficientSignatures",
+    "UnsupportedConversionMode",
+    "TokenNotRegistered",
+    "TokenAlreadyRegistered",
+    "TokenDisabled",
+    "InvalidFeeConfigurations",
+    "FeeExceedsAmount",
+    "UnauthorizedFeeCollector",
+    "WithdrawExceedsFees",
+    "UnsupportedTokenBehavior",
+    "InvalidPermit",
+    "UnauthorizedCaller",
+    "InvalidMerkleProof",
+    "ConversionNotRefundable",
+    "TimelockRequired",
+    "UnsupportedChange",
+    "ChangeAlreadyProposed",
+    "ChangeNotProposed",
+    "ChangeNotReady",
+    "RescueExceedsSurplus",
+    "UnauthorizedRevoker",
+    "UnauthorizedComplianceOfficer",
+    "DeniedAccount",
+    "AccountNotAllowed",
+    "ConversionNotHeld",
+    "MissingRole",
+    "DestinationChainNotSupported",
+    "InvalidRecipient",
+    "LegacyConverterNotOwned",
+    "InvalidShortString",
+    "StringTooLong"
+];
+
+// Errors with the arguments, the others have none
+const ERROR_ARGUMENTS = {
+    MissingRole: "bytes32 role, address account",
+    StringTooLong: "string str"
+};
+
+const errorsInterface = new Interface(CONVERTER_ERRORS.map((name) => `error ${name}(${ERROR_ARGUMENTS[name] || ""})`));
+
+/**
+ * Base error of the reverted converter calls
+ * @property reason - custom error name or the revert reason string of the converter
+ * @property args - decoded arguments of the custom error
+ * @property data - revert data
+ * @property cause - original ethers error
+ */
+class ConverterError extends Error {
+    constructor(reason, data, cause, args = []) {
+        super(`Converter reverted with ${reason}`);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.args = [...args];
+        this.data = data;
+        this.cause = cause;
+    }
+}
+
+// Typed error per custom error of the converter, e.g. `error instanceof errors.UsedSignature`
+const errors = Object.fromEntries(CONVERTER_ERRORS.map((name) => [
+    name,
+    { [name]: class extends ConverterError {} }[name]
+]));
+
+// Finds the revert data in the nested errors of the ethers and the node providers
+function getRevertData(error) {
+    let current = error;
+
+    for (let depth = 0; current && depth < 5; depth++) {
+        if (isHexString(current.data)) return current.data;
+        if (isHexString(current.data?.data)) return current.data.data;
+
+        current = current.error || current.info?.error || current.cause;
+    }
+}
+
+/**
+ * Maps the failed converter call to the typed error
+ * @param error - error thrown by the converter call or the transaction
+ * @returns typed error of the custom error, ConverterError of the revert reason string,
+ * the original error if it is not a revert of the converter
+ */
+function parseConverterError(error) {
+    const data = getRevertData(error);
+    if (!data || data.length < 10) return error;
+
+    const parsed = errorsInterface.parseError(data);
+    if (parsed && errors[parsed.name])
+        return new errors[parsed.name](parsed.name, data, error, parsed.args);
+    // Error(string) reason of the require statements, Panic(uint256) code of the failed assertions
+    if (parsed)
+        return new ConverterError(parsed.name === "Error" ? parsed.args[0] : `${parsed.name}(${parsed.args.join(",")})`, data, error);
+
+    return error;
+}
+
+module.exports = {
+    CONVERTER_ERRORS,
+    ConverterError,
+    errors,
+    parseConverterError
+};
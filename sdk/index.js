@@ -0,0 +1,9 @@
+// Converter SDK: EIP-712 signing and verification of the conversion requests, Merkle batches, permits,
+// submission of the conversions and typed errors of the converter reverts
+module.exports = {
+    ...require("./conversionSignatures"),
+    ...require("./conversionMerkleTree"),
+    ...require("./permitSignatures"),
+    ...require("./converter"),
+    ...require("./errors")
+};
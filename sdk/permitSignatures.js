@@ -0,0 +1,94 @@
+const { Signature } = require("ethers");
+
+// Canonical Uniswap Permit2 deployment, the same address on all networks
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+// ERC-2612 typed data structure signed by the tokens holder
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Permit2 signature transfer typed data structures signed by the tokens holder
+const PERMIT2_TRANSFER_TYPES = {
+    PermitTransferFrom: [
+        { name: "permitted", type: "TokenPermissions" },
+        { name: "spender", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ],
+    TokenPermissions: [
+        { name: "token", type: "address" },
+        { name: "amount", type: "uint256" }
+    ]
+};
+
+async function getChainId(signer) {
+    return (await signer.provider.getNetwork()).chainId;
+}
+
+/**
+ * Signs an ERC-2612 permit of the tokens holder for the converter
+ * @param holder - ethers signer of the tokens holder
+ * @param token - token contract instance with the ERC-2612 permit
+ * @param request - { spender, value, deadline }, the nonce is read from the token
+ * @returns { value, deadline, v, r, s } as the converter PermitSignature expects
+ */
+async function signPermit(holder, token, { spender, value, deadline }) {
+    const owner = await holder.getAddress();
+    const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: await getChainId(holder),
+        verifyingContract: await token.getAddress()
+    };
+
+    const signature = await holder.signTypedData(domain, PERMIT_TYPES, {
+        owner,
+        spender,
+        value,
+        nonce: await token.nonces(owner),
+        deadline
+    });
+    const { v, r, s } = Signature.from(signature);
+
+    return { value, deadline, v, r, s };
+}
+
+/**
+ * Signs a Permit2 signature transfer of the tokens holder for the converter
+ * @param holder - ethers signer of the tokens holder
+ * @param permit2 - Permit2 contract address
+ * @param request - { token, amount, spender, nonce, deadline }, the nonce is any unused unordered nonce
+ * @returns { permit, signature } as the converter Permit2Signature expects
+ */
+async function signPermit2Transfer(holder, permit2, { token, amount, spender, nonce, deadline }) {
+    const domain = {
+        name: "Permit2",
+        chainId: await getChainId(holder),
+        verifyingContract: permit2
+    };
+
+    const permitted = { token, amount };
+    const signature = await holder.signTypedData(domain, PERMIT2_TRANSFER_TYPES, {
+        permitted,
+        spender,
+        nonce,
+        deadline
+    });
+
+    return { permit: { permitted, nonce, deadline }, signature };
+}
+
+module.exports = {
+    PERMIT2_ADDRESS,
+    PERMIT_TYPES,
+    PERMIT2_TRANSFER_TYPES,
+    signPermit,
+    signPermit2Transfer
+};
@@ -0,0 +1,508 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const {
+    CONVERTER_CONTRACT,
+    parseConversionMode,
+    loadTaskConfig,
+    requireParams,
+    readDeployments,
+    writeDeployment,
+    getConverter,
+    sendOrPropose
+} = require("./utils");
+const {
+    loadStore,
+    saveStore,
+    converterKey,
+    getConverterEntry,
+    indexConverter,
+    fetchConverterState,
+    buildReconciliationReport,
+    formatReportCsv
+} = require("../indexer");
+const { encodeConversionId } = require("../sdk");
+
+const CONVERSION_MODE_NAMES = ["lock-unlock", "mint-burn"];
+
+// Role names of the tasks => role constants of the converter
+const ROLES = {
+    "admin": "DEFAULT_ADMIN_ROLE",
+    "config-admin": "CONFIG_ADMIN_ROLE",
+    "liquidity-manager": "LIQUIDITY_MANAGER_ROLE",
+    "authorizer-manager": "AUTHORIZER_MANAGER_ROLE",
+    "pauser": "PAUSER_ROLE"
+};
+
+/**
+ * Adds the parameters shared by the converter tasks
+ */
+function converterTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("converter", "Converter address, the current converter of deployments/<network>.json by default")
+        .addOptionalParam("from", "Sender address, the first configured account by default")
+        .addOptionalParam("params", "JSON network config of the parameters, config/<network>.json by default")
+        .addOptionalParam("deployments", "Directory of the deployment records", undefined, types.string);
+}
+
+async function getSigner(hre, from) {
+    return from ? hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+}
+
+async function connectConverter(hre, args) {
+    const converter = await getConverter(hre, args.converter, args.deployments);
+
+    return converter.connect(await getSigner(hre, args.from));
+}
+
+async function deployContract(hre, signer, deploymentsDir, name, args) {
+    const factory = await hre.ethers.getContractFactory(name, signer);
+    const contract = await factory.deploy(...args);
+    const deployment = contract.deploymentTransaction();
+    const receipt = await deployment.wait();
+    const address = await contract.getAddress();
+
+    await writeDeployment(hre, deploymentsDir, name, {
+        address,
+        deployer: signer.address,
+        transactionHash: deployment.hash,
+        blockNumber: receipt.blockNumber,
+        args: args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg))
+    });
+    console.log(`${name} deployed: ${address}`);
+
+    return contract;
+}
+
+converterTask("converter:deploy", "Deploys and configures the converter")
+    .addOptionalParam("token", "First token managed by the converter")
+    .addOptionalParam("conversionMode", "Conversion mode of the token: lock-unlock or mint-burn")
+    .addOptionalParam("perTxnMinAmount", "Min amount for conversion, in the token units")
+    .addOptionalParam("perTxnMaxAmount", "Max amount for conversion, in the token units")
+    .addOptionalParam("authorizer", "Conversion authorizer, the deployer by default")
+    .addOptionalParam("admin", "Default admin granted all the roles besides the deployer")
+    .addOptionalParam("minDelay", "Delay of the timelocked changes in seconds, set after the configuration")
+    .addFlag("upgradeable", "Deploy the upgradeable converter behind the transparent proxy")
+    .setAction(async (args, hre) => {
+        const config = loadTaskConfig(hre, args.params, {
+            token: args.token,
+            conversionMode: args.conversionMode,
+            perTxnMinAmount: args.perTxnMinAmount,
+            perTxnMaxAmount: args.perTxnMaxAmount,
+            authorizer: args.authorizer,
+            admin: args.admin,
+            minDelay: args.minDelay
+        });
+        requireParams(config, ["token", "conversionMode"]);
+
+        const deployer = await getSigner(hre, args.from);
+        const conversionMode = parseConversionMode(config.conversionMode);
+        console.log("Deploying contracts with the account:", deployer.address);
+
+        let converterAddress;
+        if (args.upgradeable) {
+            const implementation = await deployContract(hre, deployer, args.deployments, "TokenConversionManagerV3Upgradeable", []);
+            const proxyAdmin = await deployContract(hre, deployer, args.deployments, "ProxyAdmin", []);
+            const proxy = await deployContract(hre, deployer, args.deployments, "TokenConversionManagerV3Proxy", [
+                await implementation.getAddress(),
+                await proxyAdmin.getAddress(),
+                implementation.interface.encodeFunctionData("initialize", [config.token, conversionMode, deployer.address])
+            ]);
+            converterAddress = await proxy.getAddress();
+
+            // the upgrades are authorized by the converter itself
+            await (await proxyAdmin.transferOwnership(converterAddress)).wait();
+        } else {
+            const converter = await deployContract(hre, deployer, args.deployments, CONVERTER_CONTRACT, [
+                config.token,
+                conversionMode
+            ]);
+            converterAddress = await converter.getAddress();
+        }
+
+        const converter = (await getConverter(hre, converterAddress)).connect(deployer);
+
+        // configure the limits and the authorizer before enabling the timelock
+        if (config.perTxnMinAmount !== undefined || config.perTxnMaxAmount !== undefined) {
+            requireParams(config, ["perTxnMinAmount", "perTxnMaxAmount"]);
+            await sendOrPropose(converter, "updateConfigurations", [
+                config.token,
+                BigInt(config.perTxnMinAmount),
+                BigInt(config.perTxnMaxAmount)
+            ]);
+        }
+        if (config.authorizer && hre.ethers.getAddress(config.authorizer) !== deployer.address)
+            await sendOrPropose(converter, "updateAuthorizer", [config.authorizer]);
+        if (config.minDelay !== undefined)
+            await sendOrPropose(converter, "updateMinDelay", [BigInt(config.minDelay)]);
+        if (config.admin && hre.ethers.getAddress(config.admin) !== deployer.address) {
+            for (const role of Object.values(ROLES))
+                await sendOrPropose(converter, "grantRole", [await converter[role](), config.admin]);
+            console.log(`The deployer renounces its roles with converter:role renounce once ${config.admin} takes over`);
+        }
+
+        return converterAddress;
+    });
+
+converterTask("converter:configure", "Updates the token limits, the fee collector, the compliance officer, the timelock delay or the authorizer grace period")
+    .addOptionalParam("token", "Token address")
+    .addOptionalParam("perTxnMinAmount", "Min amount for conversion, in the token units")
+    .addOptionalParam("perTxnMaxAmount", "Max amount for conversion, in the token units")
+    .addOptionalParam("feeCollector", "Fee collector allowed to withdraw the collected fees")
+    .addOptionalParam("complianceOfficer", "Compliance officer allowed to manage the account screening and the held conversions")
+    .addOptionalParam("minDelay", "Delay of the timelocked changes in seconds")
+    .addOptionalParam("authorizerGracePeriod", "Grace period of the replaced authorizers in seconds")
+    .addFlag("propose", "Propose the timelocked changes instead of the direct calls")
+    .setAction(async (args, hre) => {
+        const config = loadTaskConfig(hre, args.params, {
+            token: args.token,
+            perTxnMinAmount: args.perTxnMinAmount,
+            perTxnMaxAmount: args.perTxnMaxAmount,
+            feeCollector: args.feeCollector,
+            complianceOfficer: args.complianceOfficer,
+            minDelay: args.minDelay,
+            authorizerGracePeriod: args.authorizerGracePeriod
+        });
+        const converter = await connectConverter(hre, args);
+
+        if (config.perTxnMinAmount !== undefined || config.perTxnMaxAmount !== undefined) {
+            requireParams(config, ["token", "perTxnMinAmount", "perTxnMaxAmount"]);
+            await sendOrPropose(converter, "updateConfigurations", [
+                config.token,
+                BigInt(config.perTxnMinAmount),
+                BigInt(config.perTxnMaxAmount)
+            ], args.propose);
+        }
+        // the fee collector and the compliance officer are not timelocked
+        if (config.feeCollector !== undefined)
+            await sendOrPropose(converter, "updateFeeCollector", [config.feeCollector]);
+        if (config.complianceOfficer !== undefined)
+            await sendOrPropose(converter, "updateComplianceOfficer", [config.complianceOfficer]);
+        if (config.minDelay !== undefined)
+            await sendOrPropose(converter, "updateMinDelay", [BigInt(config.minDelay)], args.propose);
+        if (config.authorizerGracePeriod !== undefined) {
+            await sendOrPropose(converter, "updateAuthorizerGracePeriod", [
+                BigInt(config.authorizerGracePeriod)
+            ], args.propose);
+        }
+    });
+
+converterTask("converter:destination-chain", "Registers the destination chain of the token conversionOut or updates its limits and status")
+    .addParam("chainId", "Destination chain id, the id assigned by the bridge for the non-EVM networks")
+    .addOptionalParam("token", "Token address")
+    .addOptionalParam("perTxnMinAmount", "Min amount for conversion to the chain, in the token units, the current one if not in the JSON config")
+    .addOptionalParam("perTxnMaxAmount", "Max amount for conversion to the chain, in the token units, the current one if not in the JSON config")
+    .addFlag("disable", "Disable the conversionOut to the chain")
+    .addFlag("propose", "Propose the timelocked change instead of the direct call")
+    .setAction(async (args, hre) => {
+        const config = loadTaskConfig(hre, args.params, {
+            token: args.token,
+            perTxnMinAmount: args.perTxnMinAmount,
+            perTxnMaxAmount: args.perTxnMaxAmount
+        });
+        requireParams(config, ["token"]);
+
+        const converter = await connectConverter(hre, args);
+        const current = await converter.getDestinationChain(config.token, BigInt(args.chainId));
+        const perTxnMinAmount = config.perTxnMinAmount ?? current.perTxnMinAmount;
+        const perTxnMaxAmount = config.perTxnMaxAmount ?? current.perTxnMaxAmount;
+
+        await sendOrPropose(converter, "updateDestinationChain", [
+            config.token,
+            BigInt(args.chainId),
+            !args.disable,
+            BigInt(perTxnMinAmount),
+            BigInt(perTxnMaxAmount)
+        ], args.propose);
+    });
+
+converterTask("converter:set-authorizer", "Replaces the conversion authorizers with the single authorizer or adds one")
+    .addOptionalParam("authorizer", "Conversion authorizer address")
+    .addFlag("add", "Add the authorizer to the set instead of replacing the set")
+    .addFlag("propose", "Propose the timelocked change instead of the direct call")
+    .setAction(async (args, hre) => {
+        const config = loadTaskConfig(hre, args.params, { authorizer: args.authorizer });
+        requireParams(config, ["authorizer"]);
+
+        const converter = await connectConverter(hre, args);
+
+        await sendOrPropose(converter, args.add ? "addAuthorizer" : "updateAuthorizer", [config.authorizer], args.propose);
+    });
+
+converterTask("converter:revoke", "Revokes the signed request or the conversion id which were not converted yet")
+    .addOptionalParam("message", "EIP-712 digest of the signed request, see hashConversionRequest of the SDK")
+    .addOptionalParam("conversionId", "Conversion id: bytes32 hex, number or text")
+    .setAction(async (args, hre) => {
+        if (!args.message === !args.conversionId)
+            throw new Error("Either --message or --conversion-id is required");
+
+        const converter = await connectConverter(hre, args);
+
+        if (args.message)
+            return sendOrPropose(converter, "revokeSignature", [args.message]);
+
+        return sendOrPropose(converter, "revokeConversionId", [encodeConversionId(args.conversionId)]);
+    });
+
+const COMPLIANCE_ACTIONS = {
+    deny: ["updateDenylist", true],
+    undeny: ["updateDenylist", false],
+    allow: ["updateAllowlist", true],
+    disallow: ["updateAllowlist", false],
+    flag: ["flagConversion", true],
+    unflag: ["flagConversion", false],
+    release: ["releaseHeldConversion"],
+    cancel: ["cancelHeldConversion"]
+};
+
+converterTask("converter:compliance", "Screens the accounts, switches the allowlist-only mode or reviews the held conversions")
+    .addPositionalParam("action", `${Object.keys(COMPLIANCE_ACTIONS).join(", ")}, allowlist-on or allowlist-off`)
+    .addOptionalParam("accounts", "Comma separated account addresses of the denylist or the allowlist")
+    .addOptionalParam("conversionId", "Conversion id of the flagged or held conversionIn: bytes32 hex, number or text")
+    .setAction(async (args, hre) => {
+        const converter = await connectConverter(hre, args);
+
+        if (args.action === "allowlist-on" || args.action === "allowlist-off")
+            return sendOrPropose(converter, "updateAllowlistMode", [args.action === "allowlist-on"]);
+
+        const [method, flag] = COMPLIANCE_ACTIONS[args.action] || [];
+        if (!method)
+            throw new Error(`Unknown compliance action "${args.action}"`);
+
+        if (method === "updateDenylist" || method === "updateAllowlist") {
+            if (!args.accounts)
+                throw new Error("--accounts is required");
+
+            return sendOrPropose(converter, method, [args.accounts.split(",").map((account) => account.trim()), flag]);
+        }
+
+        if (!args.conversionId)
+            throw new Error("--conversion-id is required");
+
+        const conversionId = encodeConversionId(args.conversionId);
+
+        return sendOrPropose(converter, method, flag === undefined ? [conversionId] : [conversionId, flag]);
+    });
+
+converterTask("converter:liquidity", "Adds or removes the converter liquidity of the lock/unlock token")
+    .addPositionalParam("action", "add or remove")
+    .addOptionalParam("token", "Token address")
+    .addParam("amount", "Amount in the token units")
+    .addFlag("propose", "Propose the timelocked removal instead of the direct call")
+    .setAction(async (args, hre) => {
+        if (args.action !== "add" && args.action !== "remove")
+            throw new Error(`Unknown liquidity action "${args.action}", expected add or remove`);
+
+        const config = loadTaskConfig(hre, args.params, { token: args.token });
+        requireParams(config, ["token"]);
+
+        const converter = await connectConverter(hre, args);
+        const amount = BigInt(args.amount);
+
+        if (args.action === "remove")
+            return sendOrPropose(converter, "decreaseConverterLiquidity", [config.token, amount], args.propose);
+
+        const token = await hre.ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", config.token, converter.runner);
+        await (await token.approve(await converter.getAddress(), amount)).wait();
+
+        return sendOrPropose(converter, "increaseConverterLiquidity", [config.token, amount]);
+    });
+
+converterTask("converter:status", "Prints the converter state")
+    .setAction(async (args, hre) => {
+        const converter = await connectConverter(hre, args);
+
+        const [authorizers, threshold] = await converter.getConversionAuthorizers();
+        const [, outgoingAuthorizers, validUntil] = await converter.getAuthorizersValidity();
+        const [complianceOfficer, allowlistOnly] = await converter.getCompliance();
+        const [pausedOut, pausedIn] = await converter.getPausedConversions();
+        const [tokens, configs] = await converter.getTokens();
+
+        const status = {
+            converter: await converter.getAddress(),
+            roles: {},
+            authorizers: [...authorizers],
+            threshold: Number(threshold),
+            authorizerGracePeriod: Number(await converter.getAuthorizerGracePeriod()),
+            outgoingAuthorizers: outgoingAuthorizers.map((authorizer, i) => ({
+                authorizer,
+                validUntil: Number(validUntil[i])
+            })),
+            feeCollector: await converter.getFeeCollector(),
+            complianceOfficer,
+            allowlistOnly,
+            minDelay: Number(await converter.getMinDelay()),
+            paused: { conversionOut: pausedOut, conversionIn: pausedIn },
+            tokens: []
+        };
+
+        for (const [name, role] of Object.entries(ROLES))
+            status.roles[name] = [...await converter.getRoleMembers(await converter[role]())];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const config = configs[i];
+            const tokenStatus = {
+                token: tokens[i],
+                enabled: config.enabled,
+                conversionMode: CONVERSION_MODE_NAMES[Number(config.conversionMode)],
+                perTxnMinAmount: config.perTxnMinAmount.toString(),
+                perTxnMaxAmount: config.perTxnMaxAmount.toString(),
+                balance: (await converter.getConverterBalance(tokens[i])).toString()
+            };
+
+            const [liquidity, lockedFunds, collectedFees, surplus] = await converter.getBalanceBreakdown(tokens[i]);
+            Object.assign(tokenStatus, {
+                liquidity: liquidity.toString(),
+                lockedFunds: lockedFunds.toString(),
+                collectedFees: collectedFees.toString(),
+                heldFunds: (await converter.getHeldFunds(tokens[i])).toString(),
+                surplus: surplus.toString()
+            });
+
+            const [chainIds, chains] = await converter.getDestinationChains(tokens[i]);
+            tokenStatus.destinationChains = chainIds.map((chainId, j) => ({
+                chainId: chainId.toString(),
+                enabled: chains[j].enabled,
+                perTxnMinAmount: chains[j].perTxnMinAmount.toString(),
+                perTxnMaxAmount: chains[j].perTxnMaxAmount.toString()
+            }));
+
+            status.tokens.push(tokenStatus);
+        }
+
+        console.log(JSON.stringify(status, null, 4));
+
+        return status;
+    });
+
+converterTask("converter:role", "Grants or revokes the role of the account, or renounces the role of the sender")
+    .addPositionalParam("action", "grant, revoke or renounce")
+    .addParam("role", `${Object.keys(ROLES).join(", ")} or all`)
+    .addOptionalParam("account", "Account address, the sender for renounce")
+    .setAction(async (args, hre) => {
+        if (!["grant", "revoke", "renounce"].includes(args.action))
+            throw new Error(`Unknown role action "${args.action}", expected grant, revoke or renounce`);
+
+        const names = args.role === "all" ? Object.keys(ROLES) : [args.role];
+        if (!names.every((name) => ROLES[name]))
+            throw new Error(`Unknown role "${args.role}"`);
+
+        const converter = await connectConverter(hre, args);
+        const account = args.action === "renounce" ? await converter.runner.getAddress() : args.account;
+        if (!account)
+            throw new Error("--account is required");
+
+        // the default admin role is renounced last, while the sender may still use it
+        for (const name of args.action === "grant" ? names : [...names].reverse())
+            await sendOrPropose(converter, `${args.action}Role`, [await converter[ROLES[name]](), account]);
+    });
+
+converterTask("converter:accept-ownership", "Accepts the pending ownership of the legacy V3 converter by the upgradeable converter and stops its conversions")
+    .addParam("legacy", "Legacy V3 converter address, its owner transfers the ownership to the upgradeable converter first")
+    .addParam("migrationAuthorizer", "Authorizer installed on the legacy converter to sign the transfer of its locked funds")
+    .setAction(async (args, hre) => {
+        const converter = await connectConverter(hre, args);
+        const upgradeable = await hre.ethers.getContractAt(
+            "TokenConversionManagerV3Upgradeable", await converter.getAddress(), converter.runner
+        );
+        const legacy = await hre.ethers.getContractAt(["function pendingOwner() view returns (address)"], args.legacy);
+        const pendingOwner = await legacy.pendingOwner();
+
+        if (pendingOwner !== await upgradeable.getAddress())
+            throw new Error(`Converter ${await upgradeable.getAddress()} is not the pending owner ${pendingOwner} of ${args.legacy}`);
+
+        return sendOrPropose(upgradeable, "acceptLegacyOwnership", [args.legacy, args.migrationAuthorizer]);
+    });
+
+// Indexes the converter history into the store entry, from the deployment block on the first run
+async function indexHistory(hre, converter, store, args) {
+    const address = await converter.getAddress();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const entry = getConverterEntry(store, chainId, address);
+
+    const deployment = Object.values(readDeployments(hre, args.deployments).contracts)
+        .find((contract) => contract.address === address);
+    const fromBlock = args.fromBlock ?? (deployment ? deployment.blockNumber : 0);
+
+    const added = await indexConverter(converter, entry, { fromBlock, toBlock: args.toBlock });
+    console.log(`Indexed ${added} events of ${converterKey(chainId, address)} up to block ${entry.nextBlock - 1}`);
+
+    return entry;
+}
+
+function storeFile(hre, store) {
+    return store || path.join(hre.config.paths.root, "indexer", "data", `${hre.network.name}.json`);
+}
+
+converterTask("converter:index", "Indexes the converter events into the JSON store")
+    .addOptionalParam("store", "JSON store of the indexed events, indexer/data/<network>.json by default")
+    .addOptionalParam("fromBlock", "First block of the first run, the deployment block by default", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block to index, the latest block by default", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const converter = await connectConverter(hre, args);
+        const file = storeFile(hre, args.store);
+        const store = loadStore(file);
+
+        const entry = await indexHistory(hre, converter, store, args);
+        saveStore(file, store);
+
+        return entry;
+    });
+
+converterTask("converter:reconcile", "Indexes the converter events and reconciles them with the converter balances")
+    .addOptionalParam("store", "JSON store of the indexed events, indexer/data/<network>.json by default")
+    .addOptionalParam("fromBlock", "First block of the first run, the deployment block by default", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block to index, the latest block by default", undefined, types.int)
+    .addOptionalParam("counterpart", "Converter of the other side: address on this network or <chainId>:<address> indexed into the store")
+    .addOptionalParam("out", "Report file, CSV if the extension is .csv, JSON otherwise")
+    .setAction(async (args, hre) => {
+        const converter = await connectConverter(hre, args);
+        const file = storeFile(hre, args.store);
+        const store = loadStore(file);
+
+        const entry = await indexHistory(hre, converter, store, args);
+
+        let counterpart;
+        if (args.counterpart && !args.counterpart.includes(":")) {
+            const counterpartConverter = await getConverter(hre, args.counterpart);
+            counterpart = await indexHistory(hre, counterpartConverter, store, args);
+        } else if (args.counterpart) {
+            const [chainId, address] = args.counterpart.split(":");
+            counterpart = store.converters[converterKey(chainId, address)];
+            if (!counterpart)
+                throw new Error(`Counterpart ${args.counterpart} is not indexed, run converter:index on its network first`);
+        }
+        saveStore(file, store);
+
+        const state = await fetchConverterState(converter, entry.nextBlock - 1);
+        const report = buildReconciliationReport(entry, state, counterpart);
+
+        if (args.out) {
+            fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+            fs.writeFileSync(
+                args.out,
+                args.out.endsWith(".csv") ? formatReportCsv(report) : JSON.stringify(report, null, 4) + "\n"
+            );
+            console.log(`Report written to ${args.out}`);
+        } else {
+            console.log(JSON.stringify(report, null, 4));
+        }
+        console.log(`${report.discrepancies.length} discrepancies found`);
+
+        return report;
+    });
+
+task("sdk:abi", "Exports the ABI of the compiled converter to the SDK, the clients load it without Hardhat")
+    .setAction(async (args, hre) => {
+        await hre.run("compile", { quiet: true });
+
+        const { abi } = await hre.artifacts.readArtifact(CONVERTER_CONTRACT);
+        const file = path.join(hre.config.paths.root, "sdk", "abi", `${CONVERTER_CONTRACT}.json`);
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(abi, null, 4) + "\n");
+        console.log(`${CONVERTER_CONTRACT} ABI exported to ${file}`);
+
+        return file;
+    });
@@ -0,0 +1,153 @@
+const fs = require("fs");
+const path = require("path");
+
+const CONVERTER_CONTRACT = "TokenConversionManagerV3";
+// Deployed contracts used as the current converter of the network, the proxy of the upgradeable converter
+const CONVERTER_DEPLOYMENTS = [CONVERTER_CONTRACT, "TokenConversionManagerV3Proxy"];
+
+// Conversion modes of the converter
+const CONVERSION_MODES = {
+    "lock-unlock": 0,
+    "mint-burn": 1
+};
+
+/**
+ * Parses the conversion mode name (lock-unlock, mint-burn) or its index
+ * @returns conversion mode index of the contract enum
+ */
+function parseConversionMode(mode) {
+    const key = String(mode).toLowerCase();
+
+    if (key in CONVERSION_MODES) return CONVERSION_MODES[key];
+    if (Object.values(CONVERSION_MODES).includes(Number(key))) return Number(key);
+
+    throw new Error(`Unknown conversion mode "${mode}", expected one of ${Object.keys(CONVERSION_MODES).join(", ")}`);
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 4) + "\n");
+}
+
+/**
+ * Loads the network parameters of the converter tasks, the CLI flags override the JSON values
+ * @param hre - Hardhat runtime environment
+ * @param configFile - JSON config path, `config/<network>.json` by default (optional)
+ * @param flags - task arguments, undefined values are ignored
+ * @returns merged parameters
+ */
+function loadTaskConfig(hre, configFile, flags) {
+    const file = configFile || path.join(hre.config.paths.root, "config", `${hre.network.name}.json`);
+
+    if (configFile && !fs.existsSync(file))
+        throw new Error(`Config file ${file} not found`);
+
+    const config = fs.existsSync(file) ? readJson(file) : {};
+
+    for (const [key, value] of Object.entries(flags)) {
+        if (value !== undefined) config[key] = value;
+    }
+
+    return config;
+}
+
+/**
+ * Requires the parameters of the task
+ * @throws if any of the parameters is missing
+ */
+function requireParams(config, names) {
+    const missing = names.filter((name) => config[name] === undefined || config[name] === "");
+
+    if (missing.length !== 0)
+        throw new Error(`Missing parameters: ${missing.join(", ")} (use the CLI flags or the JSON config)`);
+}
+
+function deploymentsFile(hre, deploymentsDir) {
+    return path.join(deploymentsDir || path.join(hre.config.paths.root, "deployments"), `${hre.network.name}.json`);
+}
+
+/**
+ * Reads the deployment record of the current network
+ * @returns `deployments/<network>.json` content, empty record if not deployed yet
+ */
+function readDeployments(hre, deploymentsDir) {
+    const file = deploymentsFile(hre, deploymentsDir);
+
+    return fs.existsSync(file) ? readJson(file) : { network: hre.network.name, contracts: {} };
+}
+
+/**
+ * Records the deployed contract to `deployments/<network>.json`, the last deployed converter becomes current
+ * @param record - { address, transactionHash, blockNumber, args, ... }
+ */
+async function writeDeployment(hre, deploymentsDir, name, record) {
+    const deployments = readDeployments(hre, deploymentsDir);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    deployments.network = hre.network.name;
+    deployments.chainId = Number(chainId);
+    deployments.contracts[name] = { ...record, deployedAt: new Date().toISOString() };
+    if (CONVERTER_DEPLOYMENTS.includes(name)) deployments.converter = record.address;
+
+    writeJson(deploymentsFile(hre, deploymentsDir), deployments);
+
+    return deployments;
+}
+
+/**
+ * Returns the converter contract connected to the first signer,
+ * the address of the flag or the current converter of `deployments/<network>.json`
+ */
+async function getConverter(hre, address, deploymentsDir) {
+    const converter = address || readDeployments(hre, deploymentsDir).converter;
+
+    if (!converter)
+        throw new Error(`Converter address is not set and not found in ${deploymentsFile(hre, deploymentsDir)}`);
+
+    return hre.ethers.getContractAt(CONVERTER_CONTRACT, converter);
+}
+
+/**
+ * Sends the converter transaction or proposes it as the timelocked change
+ * @param converter - converter contract
+ * @param method - converter function name
+ * @param args - function arguments
+ * @param propose - propose the change instead of the direct call
+ * @returns transaction receipt
+ */
+async function sendOrPropose(converter, method, args, propose) {
+    if (!propose) {
+        const tx = await converter[method](...args);
+        console.log(`${method}: ${tx.hash}`);
+
+        return tx.wait();
+    }
+
+    const data = converter.interface.encodeFunctionData(method, args);
+    const tx = await converter.proposeChange(data);
+    const receipt = await tx.wait();
+    const { args: [id, , readyAt] } = receipt.logs
+        .map((log) => converter.interface.parseLog(log))
+        .find((event) => event && event.name === "ProposeChange");
+
+    console.log(`Proposed ${method}: ${tx.hash}`);
+    console.log(`Change id ${id}, executable after ${new Date(Number(readyAt) * 1000).toISOString()}`);
+
+    return receipt;
+}
+
+module.exports = {
+    CONVERTER_CONTRACT,
+    CONVERSION_MODES,
+    parseConversionMode,
+    loadTaskConfig,
+    requireParams,
+    readDeployments,
+    writeDeployment,
+    getConverter,
+    sendOrPropose
+};
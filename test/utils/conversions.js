@@ -0,0 +1,111 @@
+// Shared conversion helpers of the tests: sign the requests by the authorizers and submit them with the SDK.
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    encodeConversionId,
+    encodeRecipient,
+    getConverterDomain,
+    signConversionOut,
+    signConversionIn,
+    multiSignConversion,
+    submitConversionOut,
+    submitConversionIn
+} = require("../../sdk");
+
+// Destination chain and recipient of the conversionOut
+const DESTINATION_CHAIN_ID = 1815;
+const RECIPIENT = encodeRecipient("addr_test1qz2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3jcu5d8ps7zex2k2xt3uqxgjqnnj83ws8lhrn648jjxtwq2ytjqp");
+
+async function getDomain(converter) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return getConverterDomain(converter, chainId);
+}
+
+async function getDeadline() {
+    return BigInt(await time.latest()) + 3600n;
+}
+
+/**
+ * Signs the conversionOut request by the authorizers
+ * @param converter - converter contract
+ * @param authorizers - authorizer signer or signers
+ * @param request - { token, holder, amount, conversionId, destinationChainId, recipient, deadline },
+ * the token and the holder may be the contracts or the signers, the destination defaults to
+ * DESTINATION_CHAIN_ID and RECIPIENT, the deadline to an hour from the latest block
+ * @returns { request, signatures } - signed request with the encoded conversion id
+ */
+async function signOut(converter, authorizers, { token, holder, conversionId, ...request }) {
+    const signed = {
+        destinationChainId: DESTINATION_CHAIN_ID,
+        recipient: RECIPIENT,
+        deadline: await getDeadline(),
+        ...request,
+        token: await ethers.resolveAddress(token),
+        holder: await ethers.resolveAddress(holder),
+        conversionId: encodeConversionId(conversionId)
+    };
+    const signatures = await multiSignConversion([].concat(authorizers), signConversionOut, await getDomain(converter), signed);
+
+    return { request: signed, signatures };
+}
+
+/**
+ * Signs the conversionIn request by the authorizers
+ * @param converter - converter contract
+ * @param authorizers - authorizer signer or signers
+ * @param request - { token, to, amount, conversionId, caller, deadline }, the token and the recipient
+ * may be the contracts or the signers, the deadline defaults to an hour from the latest block
+ * @returns { request, signatures } - signed request with the encoded conversion id
+ */
+async function signIn(converter, authorizers, { token, to, conversionId, ...request }) {
+    const signed = {
+        deadline: await getDeadline(),
+        ...request,
+        token: await ethers.resolveAddress(token),
+        to: await ethers.resolveAddress(to),
+        conversionId: encodeConversionId(conversionId)
+    };
+    const signatures = await multiSignConversion([].concat(authorizers), signConversionIn, await getDomain(converter), signed);
+
+    return { request: signed, signatures };
+}
+
+/**
+ * Signs the conversionOut of the holder by the authorizers and submits it by the holder
+ * @param converter - converter contract
+ * @param holder - tokens holder signer
+ * @param authorizers - authorizer signer or signers
+ * @param request - request of signOut without the holder
+ * @param options - { approve } of submitConversionOut
+ * @returns transaction response
+ */
+async function conversionOut(converter, holder, authorizers, request, options) {
+    const signed = await signOut(converter, authorizers, { ...request, holder });
+
+    return submitConversionOut(converter.connect(holder), signed.request, signed.signatures, options);
+}
+
+/**
+ * Signs the conversionIn by the authorizers and submits it by the sender
+ * @param converter - converter contract
+ * @param sender - recipient or relayer signer submitting the conversionIn
+ * @param authorizers - authorizer signer or signers
+ * @param request - request of signIn, the recipient defaults to the sender
+ * @returns transaction response
+ */
+async function conversionIn(converter, sender, authorizers, request) {
+    const signed = await signIn(converter, authorizers, { to: sender, ...request });
+
+    return submitConversionIn(converter.connect(sender), signed.request, signed.signatures);
+}
+
+module.exports = {
+    DESTINATION_CHAIN_ID,
+    RECIPIENT,
+    getDomain,
+    getDeadline,
+    signOut,
+    signIn,
+    conversionOut,
+    conversionIn
+};
@@ -0,0 +1,160 @@
+// Randomized stateful test harness: generates the sequences of commands from a seed, runs them against
+// a fresh fixture, checks the invariants after each step and minimizes the failing sequences.
+
+/**
+ * Seeded pseudo random generator (mulberry32), the same seed generates the same sequences
+ * @returns { next, int, pick, chance }
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        next,
+        // integer in [min, max]
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (items) => items[Math.floor(next() * items.length)],
+        chance: (probability) => next() < probability
+    };
+}
+
+/**
+ * Generates the sequence of steps, the commands are picked by their weights.
+ * The parameters depend on the random generator only, so any subsequence can be replayed.
+ * @param random - see createRandom
+ * @param commands - { name: { weight, generate(random), run(context, params) } }
+ * @param length - number of the steps
+ * @returns [{ command, params }]
+ */
+function generateSequence(random, commands, length) {
+    const entries = Object.entries(commands);
+    const totalWeight = entries.reduce((sum, [, { weight = 1 }]) => sum + weight, 0);
+    const sequence = [];
+
+    for (let i = 0; i < length; i++) {
+        let roll = random.next() * totalWeight;
+        const [name, command] = entries.find(([, { weight = 1 }]) => (roll -= weight) < 0) || entries[entries.length - 1];
+
+        sequence.push({ command: name, params: command.generate(random) });
+    }
+
+    return sequence;
+}
+
+// Invariant reported for the command throwing instead of handling its expected failures
+const COMMAND_ERROR = "commands run without unexpected errors";
+
+/**
+ * Runs the sequence against a fresh context and checks the invariants after each step
+ * @returns null if all the invariants hold, { step, invariant, error } of the first violation
+ * or of the command throwing the unexpected error otherwise
+ */
+async function runSequence(sequence, { setup, commands, invariants }) {
+    const context = await setup();
+
+    for (let step = 0; step < sequence.length; step++) {
+        const { command, params } = sequence[step];
+        try {
+            await commands[command].run(context, params);
+        } catch (error) {
+            return { step, invariant: COMMAND_ERROR, error: new Error(`${command} threw ${error.message}`) };
+        }
+
+        for (const [invariant, check] of Object.entries(invariants)) {
+            try {
+                await check(context);
+            } catch (error) {
+                return { step, invariant, error };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Minimizes the failing sequence by removing the chunks of steps (halving the chunk size down to a single step)
+ * while the same invariant is still violated
+ * @returns { sequence, failure } of the minimized sequence
+ */
+async function minimizeSequence(sequence, failure, options) {
+    let current = sequence.slice(0, failure.step + 1);
+    let currentFailure = failure;
+
+    for (let chunk = Math.ceil(current.length / 2); chunk >= 1; chunk = chunk === 1 ? 0 : Math.ceil(chunk / 2)) {
+        for (let start = 0; start < current.length;) {
+            const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+            const candidateFailure = candidate.length ? await runSequence(candidate, options) : null;
+
+            if (candidateFailure && candidateFailure.invariant === failure.invariant) {
+                current = candidate.slice(0, candidateFailure.step + 1);
+                currentFailure = candidateFailure;
+            } else {
+                start += chunk;
+            }
+        }
+    }
+
+    return { sequence: current, failure: currentFailure };
+}
+
+function formatParams(params) {
+    return JSON.stringify(params, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * Formats the failing sequence for the report
+ */
+function formatFailure(seed, { sequence, failure }) {
+    return [
+        `Invariant "${failure.invariant}" violated: ${failure.error.message}`,
+        `Seed: ${seed}, minimized sequence of ${sequence.length} steps:`,
+        ...sequence.map(({ command, params }, i) => `  ${i + 1}. ${command} ${formatParams(params)}`)
+    ].join("\n");
+}
+
+/**
+ * Checks the invariants over the random sequences of the commands
+ * @param options.setup - async function returning a fresh context for each sequence (e.g. by loadFixture)
+ * @param options.commands - { name: { weight, generate(random), run(context, params) } }
+ * @param options.invariants - { name: async check(context) throwing on violation }
+ * @param options.runs - number of the sequences
+ * @param options.steps - number of the steps of each sequence
+ * @param options.seed - seed of the first sequence, the next sequences use the next seeds
+ * @throws Error with the minimized failing sequence and its seed
+ */
+async function checkStatefulProperty({ setup, commands, invariants, runs = 10, steps = 20, seed = 1 }) {
+    const options = { setup, commands, invariants };
+
+    for (let run = 0; run < runs; run++) {
+        const runSeed = (seed + run) >>> 0;
+        const sequence = generateSequence(createRandom(runSeed), commands, steps);
+        const failure = await runSequence(sequence, options);
+
+        if (failure) {
+            const minimized = await minimizeSequence(sequence, failure, options);
+            const error = new Error(formatFailure(runSeed, minimized));
+            error.minimized = minimized;
+            error.seed = runSeed;
+
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    COMMAND_ERROR,
+    createRandom,
+    generateSequence,
+    runSequence,
+    minimizeSequence,
+    checkStatefulProperty
+};